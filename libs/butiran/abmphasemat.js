@@ -31,11 +31,31 @@
 	Change ab_phasemat to abmphasemat and integrate to
 	butiran.js in GitHub.
 	Add select for choosing material phase.
+	20261019
+	Add optional rng argument to functions using random numbers,
+	so that a seeded generator from seedRandom(seed), defined here
+	without other scripts, can be used for reproducible figures.
+	Draw matrix with a single putImageData instead of a 1x1
+	fillRect for each cell.
 */
 
+// Create random number generator in [0, 1) from integer seed,
+// using mulberry32, so that a figure can be reproduced
+function seedRandom(seed) {
+	var h = seed >>> 0;
+	return function() {
+		h = (h + 0x6d2b79f5) >>> 0;
+		var z = h;
+		z = Math.imul(z ^ (z >>> 15), z | 1);
+		z ^= z + Math.imul(z ^ (z >>> 7), z | 61);
+		return ((z ^ (z >>> 14)) >>> 0) / 4294967296;
+	};
+}
+
 // Generate integer random number in [min, max]
-function randInt(min, max) {
-	var x = Math.random() * (max + 1 - min) + min;
+function randInt(min, max, rng) {
+	rng = rng || Math.random;
+	var x = rng() * (max + 1 - min) + min;
 	var y = Math.floor(x);
 	return y;
 }
@@ -75,11 +95,11 @@ function createZeroMatrix(rows, cols) {
 }
 
 // Create initial random position in binary matrix
-function fillParticle(xmin, ymin, xmax, ymax, N, mat) {
+function fillParticle(xmin, ymin, xmax, ymax, N, mat, rng) {
 	var j = 0;
 	for(var i = 0; i < N; i++) {
-		var x = randInt(xmin, xmax);
-		var y = randInt(ymin, ymax);
+		var x = randInt(xmin, xmax, rng);
+		var y = randInt(ymin, ymax, rng);
 		if(mat[y][x] == 0) {
 			mat[y][x] = 1;
 			j++;
@@ -108,31 +128,34 @@ function drawMatrixOnCanvas(M, id) {
 	var ctx = can.getContext("2d");
 	var rSize = M.length;
 	var cSize = M[0].length;
+	
+	// Write all pixels at once instead of a fillRect for each
+	var img = ctx.createImageData(cSize, rSize);
+	var data = img.data;
 	for(var y = 0; y < rSize; y++) {
 		for(var x = 0; x < cSize; x++) {
+			var i = 4 * (y * cSize + x);
 			if(M[y][x] >= 0) {
-				var r = (1 - M[y][x]) * 255;
-				var g = (1 - M[y][x]) * 255;
-				var b = (1 - M[y][x]) * 255;
-				ctx.fillStyle = "rgb("
-					+ r + ", "
-					+ g + ", "
-					+ b + ")";
-				ctx.fillRect(x, y, 1, 1);
+				var v = (1 - M[y][x]) * 255;
+				data[i] = v;
+				data[i + 1] = v;
+				data[i + 2] = v;
 			} else {
-				var borderColor = "#abc";
-				var r = 100;
-				var g = 19;
-				var b = 255;
-				ctx.fillStyle = borderColor;
-				ctx.fillRect(x, y, 1, 1);
+				// Border color #abc
+				data[i] = 0xaa;
+				data[i + 1] = 0xbb;
+				data[i + 2] = 0xcc;
 			}
+			data[i + 3] = 255;
 		}
 	}
+	ctx.putImageData(img, 0, 0);
 }
 
 // Get direction from direction probability
-function getDirFromProb(prob) {
+function getDirFromProb(prob, rng) {
+	rng = rng || Math.random;
+	
 	var dx = 0;
 	var dy = 0;
 	
@@ -147,7 +170,7 @@ function getDirFromProb(prob) {
 		}
 	}
 	
-	var r = Math.random();
+	var r = rng();
 	
 	var n = -1;
 	for(var i = 0; i < N; i++) {
@@ -172,7 +195,7 @@ function getDirFromProb(prob) {
 }
 
 // Move particles with some direction probabilities
-function moveParticlesWithDirProbs(M, dirProb) {
+function moveParticlesWithDirProbs(M, dirProb, rng) {
 	var NR = Math.sqrt(dirProb.length);
 	
 	var rSize = M.length;
@@ -180,8 +203,8 @@ function moveParticlesWithDirProbs(M, dirProb) {
 	var Mi = rSize * cSize;
 	for(var i = 0; i < Mi; i++) {
 		
-		var y = randInt(0, rSize - 1);
-		var x = randInt(0, cSize - 1);
+		var y = randInt(0, rSize - 1, rng);
+		var x = randInt(0, cSize - 1, rng);
 		
 		var src = M[y][x];
 		if(src != -1 && src != 0) {
@@ -195,7 +218,7 @@ function moveParticlesWithDirProbs(M, dirProb) {
 			
 			var dir = dirProb[r];
 			
-			var randDir = getDirFromProb(dir);
+			var randDir = getDirFromProb(dir, rng);
 			var dx = randDir.x;
 			var dy = -randDir.y;
 			
@@ -275,10 +298,17 @@ function configure(cnt) {
 	ta.style.float = "left";
 }
 
-// Initialize parameters
+// Initialize parameters, optionally with a seed as second argument
 function initialize() {
 	phase = parseInt(arguments[0]);
 	
+	// Use seeded random numbers if a seed is given
+	if(arguments[1] !== undefined) {
+		rand = seedRandom(arguments[1]);
+	} else {
+		rand = Math.random;
+	}
+	
 	// Set size of system matrix
 	rowSize = 200;
 	colSize = 200;
@@ -290,7 +320,7 @@ function initialize() {
 	ymin = 30;
 	xmax = 170;
 	ymax = 170;
-	M = fillParticle(xmin, ymin, xmax, ymax, N, mat);
+	M = fillParticle(xmin, ymin, xmax, ymax, N, mat, rand);
 	
 	// Create system border
 	createBorder(mat);
@@ -518,7 +548,7 @@ function simulate() {
 	//addStringToTextarea(t + "\n", taId);
 	
 	// Change particles state
-	moveParticlesWithDirProbs(mat, probs);
+	moveParticlesWithDirProbs(mat, probs, rand);
 	
 	// Increase time
 	t += dt;
@@ -550,6 +580,7 @@ var rowSize, colSize, mat;
 var N, xmin, ymin, xmax, ymax, M;
 var period, tbeg, tend, dt, t;
 var probs;
+var rand;
 var proc;
 var canId, taId, width, height, background;
 var phase;
@@ -11,8 +11,8 @@
  * - createButton(width, height, caption)
  * - addTextToTextarea(el, lines)
  * - getCoords()
- * - shuffle(arr)
- * - createPopulation(arr, n)
+ * - shuffle(arr, rng)
+ * - createPopulation(arr, n, rng)
  * - joinNestedArrays(arr)
  * - addLineNumberToArray(arr)
  * - addLineNumberToArray(arr)
@@ -112,6 +112,7 @@ function getCoords() {
  * This function modifies the original array, ensuring that all possible permutations are equally likely.
  *
  * @param {any[]} arr - The array to be shuffled. The array is modified in place.
+ * @param {function(): number} [rng=Math.random] - Random number generator, e.g. from `createRandom(seed)`.
  * @returns {any[]} The shuffled array (same reference as the input).
  *
  * @example
@@ -119,10 +120,10 @@ function getCoords() {
  * shuffle(numbers);
  * console.log(numbers); // [3, 1, 5, 2, 4] (example output; actual result will vary)
  */
-function shuffle(array) {
+function shuffle(array, rng = Math.random) {
   const arr = array.slice(); // Create a shallow copy to avoid mutating original
   for (let i = arr.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(rng() * (i + 1));
     [arr[i], arr[j]] = [arr[j], arr[i]]; // Swap elements
   }
   return arr;
@@ -136,6 +137,7 @@ function shuffle(array) {
  *
  * @param {Array} arr - The array representing a single chromosome or gene pool.
  * @param {number} n - The number of individuals (chromosomes) to generate in the population.
+ * @param {function(): number} [rng=Math.random] - Random number generator passed to `shuffle`.
  * @returns {Array<Array>} An array of `n` chromosomes, each a shuffled permutation of `arr`.
  *
  * @example
@@ -143,10 +145,10 @@ function shuffle(array) {
  * const population = createPopulation(genePool, 2);
  * // Example output: [[3, 1, 2], [2, 3, 1]]
  */
-function createPopulation(arr, n) {
+function createPopulation(arr, n, rng = Math.random) {
   const popu = [];
   for(let i = 0; i < n; i++) {
-    let chro = shuffle(arr);
+    let chro = shuffle(arr, rng);
     popu.push(chro);
   }
   return popu;
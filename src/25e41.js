@@ -4,14 +4,18 @@
  *
  * Author: Sparisoma Viridi (https://github.com/dudung)
  * Created: 2025-05-21 -- 22
- * Modified: 2025-06-08 (doc for last function)
+ * Modified: 2026-10-19 (color palettes)
  *
  * Exported:
  * - createElement(tagName, arg2, arg3)
  * - createZeroMatrix(row, col)
  * - addTextToTextarea(txa, str)
+ * - registerPalette(name, spec)
+ * - createColorFunction(name, types, colors)
+ * - getColorLabel(num, name, labels)
  * - getColor(num)
- * - drawMatrixOnCanvas(can, m, color)
+ * - drawMatrixOnCanvas(can, m, color, bodies)
+ * - resetMatrixCanvas(can)
  */
 
 
@@ -144,6 +148,158 @@ function addTextToTextarea(txa, str) {
 }
 
 
+/**
+ * Registered color palettes by name, see `registerPalette`.
+ */
+const COLOR_PALETTES = {};
+
+/**
+ * Color of codes that a palette does not cover, e.g. 100 and above.
+ */
+const COLOR_FALLBACK = "#fff";
+
+
+/**
+ * Registers a color palette under a name, so that it can be chosen with a PALETTE directive or passed to `createColorFunction`. Registering a name again replaces the former palette, and replacing "default" changes `getColor` itself.
+ *
+ * A palette gives the color of a code from
+ *   - colors, one color per code, e.g. { 41: "#e69f00" },
+ *   - list, colors given to the agent types of a scenario in increasing order, starting again when there are more types than colors,
+ *   - colormap, "#rrggbb" colors between which the agent types are spread evenly, e.g. the stops of viridis,
+ *   - families, ten colors per tens digit, as the default palette has for 1x walls and 4x solids,
+ * tried in this order, and otherwise from its base palette, which is "default" unless given, or its fallback color. Labels, e.g. for `createColorLegend`, come from labels such as { 41: "sand" } or from familyNames such as { 4: "solid" }, which gives "solid 41".
+ *
+ * @param {string} name - Palette name, e.g. "viridis".
+ * @param {Object} spec - Some of `colors`, `list`, `colormap`, `families`, `labels`, `familyNames`, `base` and `fallback`.
+ * @returns {Object} The registered palette.
+ *
+ * @example
+ * registerPalette("sand", { colors: { 41: "#c2b280", 42: "#8b7d6b" }, labels: { 41: "dry", 42: "wet" } });
+ * const color = createColorFunction("sand");
+ * color(41);  // "#c2b280"
+ * color(10);  // "#000000", from the default palette
+ */
+function registerPalette(name, spec) {
+  if(!spec || typeof spec !== "object") {
+    throw new Error("palette " + name + " must be an object");
+  }
+  const palette = Object.assign({
+    colors: {}, list: [], colormap: [], families: {}, labels: {}, familyNames: {},
+  }, spec, { name: name });
+  if(name !== "default" && palette.base === undefined) {
+    palette.base = "default";
+  }
+  COLOR_PALETTES[name] = palette;
+  return palette;
+}
+
+
+/**
+ * Returns the color at a position of a colormap, mixing the two nearest of its colors.
+ *
+ * @param {string[]} stops - Colors as "#rrggbb", evenly spaced from 0 to 1.
+ * @param {number} t - Position from 0 to 1.
+ * @returns {string} The color as "#rrggbb".
+ */
+function sampleColormap(stops, t) {
+  const s = Math.min(Math.max(t, 0), 1) * (stops.length - 1);
+  const i = Math.min(Math.floor(s), stops.length - 2);
+  if(i < 0) {
+    return stops[0];
+  }
+  const f = s - i;
+  const rgb = k => [1, 3, 5].map(j => parseInt(stops[k].slice(j, j + 2), 16));
+  const [a, b] = [rgb(i), rgb(i + 1)];
+  return "#" + a.map((v, j) => Math.round(v + f * (b[j] - v)).toString(16).padStart(2, "0")).join("");
+}
+
+
+/**
+ * Finds the color of a code in a palette and its base palettes.
+ *
+ * @param {Object} palette - Registered palette.
+ * @param {number} num - Code, e.g. an agent type.
+ * @param {number[]} types - Agent types in increasing order, for `list` and `colormap`.
+ * @returns {string|undefined} The color, or undefined if no palette has one.
+ */
+function findPaletteColor(palette, num, types) {
+  if(palette.colors[num] !== undefined) {
+    return palette.colors[num];
+  }
+  const k = types.indexOf(num);
+  if(k >= 0 && palette.list.length > 0) {
+    return palette.list[k % palette.list.length];
+  }
+  if(k >= 0 && palette.colormap.length > 0) {
+    return sampleColormap(palette.colormap, types.length > 1 ? k / (types.length - 1) : 0.5);
+  }
+  const family = palette.families[Math.floor(num / 10)];
+  if(family && family[num % 10] !== undefined) {
+    return family[num % 10];
+  }
+  const base = COLOR_PALETTES[palette.base];
+  const color = base !== undefined ? findPaletteColor(base, num, types) : undefined;
+  return color !== undefined ? color : palette.fallback;
+}
+
+
+/**
+ * Creates a color function for `drawMatrixOnCanvas` from a registered palette.
+ *
+ * @param {string} [name="default"] - Palette name.
+ * @param {number[]} [types] - Agent types, which get the colors of the `list` or `colormap` of the palette.
+ * @param {Object<number, string>} [colors] - Colors replacing the ones of the palette, e.g. from COLOR directives.
+ * @returns {function(number): string} Color of a code, `COLOR_FALLBACK` when neither the palette nor its bases have one.
+ *
+ * @example
+ * const color = createColorFunction("viridis", [41, 42, 48]);
+ * color(41);  // "#440154"
+ * color(48);  // "#fde725"
+ */
+function createColorFunction(name = "default", types = [], colors = {}) {
+  const palette = COLOR_PALETTES[name];
+  if(palette === undefined) {
+    throw new Error("unknown palette '" + name + "'");
+  }
+  const sorted = [...new Set(types)].sort((a, b) => a - b);
+  const cache = new Map();
+  return num => {
+    if(!cache.has(num)) {
+      const color = colors[num] !== undefined ? colors[num] : findPaletteColor(palette, num, sorted);
+      cache.set(num, color !== undefined ? color : COLOR_FALLBACK);
+    }
+    return cache.get(num);
+  };
+}
+
+
+/**
+ * Returns the label of a code in a palette, e.g. for a legend.
+ *
+ * @param {number} num - Code, e.g. an agent type.
+ * @param {string} [name="default"] - Palette name.
+ * @param {Object<number, string>} [labels] - Labels replacing the ones of the palette, e.g. from COLOR directives.
+ * @returns {string} E.g. "sand", "solid 41" or "type 55".
+ */
+function getColorLabel(num, name = "default", labels = {}) {
+  if(labels[num] !== undefined) {
+    return labels[num];
+  }
+  let palette = COLOR_PALETTES[name];
+  while(palette !== undefined) {
+    if(palette.labels[num] !== undefined) {
+      return palette.labels[num];
+    }
+    const family = palette.familyNames[Math.floor(num / 10)];
+    if(family !== undefined) {
+      return family + " " + num;
+    }
+    palette = COLOR_PALETTES[palette.base];
+  }
+  return "type " + num;
+}
+
+
 /**
  * getColor - Returns a hexadecimal color code based on a numeric code between 10 and 99.
  *
@@ -158,11 +314,19 @@ function addTextToTextarea(txa, str) {
  *   8x — Interface (metallic and neutral)
  *   9x — Field (rainbow spectrum)
  *
+ * The colors are those of the "default" palette, which can be replaced with `registerPalette`, and codes without a color get `COLOR_FALLBACK`.
+ *
  * @param {number} num - Number from 10 to 99
  * @returns {string} - Hexadecimal color code
  */
 function getColor(num) {
-  const palette = {
+  const color = findPaletteColor(COLOR_PALETTES.default, num, []);
+  return color !== undefined ? color : COLOR_FALLBACK;
+}
+
+
+registerPalette("default", {
+  families: {
     1: [ // Wall: black to dark brown
       "#000000", "#110c00", "#221800", "#332400", "#443000",
       "#553c00", "#664800", "#775400", "#886000", "#884400",
@@ -183,15 +347,41 @@ function getColor(num) {
       "#c0c0c0", "#c0c0c0", "#c0c0c0", "#c0c0c0", "#c0c0c0",
       "#c0c0c0", "#c0c0c0", "#c0c0c0", "#c0c0c0", "#c0c0c0",
     ],
-  };
+  },
+  familyNames: { 1: "wall", 2: "gas", 3: "fluid", 4: "solid", 9: "filter" },
+  labels: { 0: "empty" },
+  fallback: COLOR_FALLBACK,
+});
 
-  const type = Math.floor(num / 10);
-  const variant = num % 10;
 
-  if (palette[type] && palette[type][variant] !== undefined) {
-    return palette[type][variant];
+/**
+ * Drawing state of every canvas used by `drawMatrixOnCanvas`, kept apart from the canvas elements so that it is dropped together with them.
+ */
+const MATRIX_CANVAS_STATES = new WeakMap();
+
+
+/**
+ * Fraction of changed cells above which `drawMatrixOnCanvas` draws the whole matrix at once instead of cell by cell.
+ */
+const MATRIX_CANVAS_FULL_DRAW = 0.25;
+
+
+/**
+ * Converts a CSS color into its red, green, blue and alpha bytes, using the normalization done by a canvas context.
+ *
+ * @param {CanvasRenderingContext2D} ctx - Any 2D context, whose fillStyle is changed.
+ * @param {string} str - The color, e.g. "#fff", "#005f60" or "rgba(0,0,0,0.5)".
+ * @returns {number[]} Four values from 0 to 255, black for an invalid color.
+ */
+function parseCanvasColor(ctx, str) {
+  ctx.fillStyle = "#000000";
+  ctx.fillStyle = str;
+  const s = ctx.fillStyle;
+  if(s[0] === "#") {
+    return [1, 3, 5].map(i => parseInt(s.slice(i, i + 2), 16)).concat(255);
   }
-  return "#fff"; // fallback
+  const v = s.match(/[\d.]+/g).map(Number);
+  return [v[0], v[1], v[2], Math.round((v.length > 3 ? v[3] : 1) * 255)];
 }
 
 
@@ -200,9 +390,13 @@ function getColor(num) {
  *
  * This function scales the canvas to match its on-screen dimensions and fills each cell in the matrix with a color determined by the `color` callback. The matrix is assumed to be a 2D array where each element corresponds to a rectangular region on the canvas.
  *
+ * The canvas remembers what was drawn on it, so that a following call only redraws the cells whose values changed, e.g. the agents that moved in a simulation step, together with the cells around multi-cell agents. The whole matrix is drawn again as one ImageData when the canvas size, the matrix size or the color function changed, or when more than `MATRIX_CANVAS_FULL_DRAW` of the cells changed. Cell borders are rounded to whole pixels, so that both ways give the same picture. Anything else drawn on the canvas in between stays until `resetMatrixCanvas(can)` is called.
+ *
  * @param {HTMLCanvasElement} can - The canvas element on which the matrix should be drawn.
- * @param {Array<Array<any>>} m - A 2D array (matrix) representing the data to be visualized. Each element is passed to the `color` function.
+ * @param {Array<Array<any>>|Grid} m - A 2D array (matrix) representing the data to be visualized, or a `Grid` (26j25.js). Each element is passed to the `color` function.
  * @param {function(any): string} color - A function that takes a matrix element and returns a color string (e.g., "#FF0000" or "rgba(0,0,0,0.5)").
+ * @param {Array<Array<[number, number]>>} [bodies] - Optional lists of [x, y] cells, e.g. from `Simulation.bodies()`, each outlined as one body so that touching multi-cell agents of the same color can be told apart.
+ * @returns {number} Number of cells drawn.
  *
  * @example
  * const matrix = [
@@ -210,32 +404,140 @@ function getColor(num) {
  *   [1, 0]
  * ];
  * const colorFn = val => val === 1 ? "#000000" : "#FFFFFF";
- * drawMatrixOnCanvas(document.getElementById("myCanvas"), matrix, colorFn);
+ * drawMatrixOnCanvas(document.getElementById("myCanvas"), matrix, colorFn);  // 4
+ * matrix[0][1] = 0;
+ * drawMatrixOnCanvas(document.getElementById("myCanvas"), matrix, colorFn);  // 1
  */
-function drawMatrixOnCanvas(can, m, color) {
+function drawMatrixOnCanvas(can, m, color, bodies) {
   const rect = can.getBoundingClientRect();
-  const width = rect.width;
-  const height = rect.height;
+  const width = Math.floor(rect.width);
+  const height = Math.floor(rect.height);
   
-  can.width = width;
-  can.height = height;
-  can.style.width = width + "px";
-  can.style.height = height + "px";
+  const grid = typeof m.get === "function";
+  const row = grid ? m.rows : m.length;
+  const col = grid ? m.cols : m[0].length;
+  const value = i => grid ? m.data[i] : m[Math.floor(i / col)][i % col];
+  
+  let state = MATRIX_CANVAS_STATES.get(can);
+  let full = state === undefined || state.width !== width || state.height !== height
+    || state.row !== row || state.col !== col || state.color !== color;
+  if(full) {
+    can.width = width;
+    can.height = height;
+    can.style.width = width + "px";
+    can.style.height = height + "px";
+    state = {
+      width: width, height: height, row: row, col: col, color: color,
+      values: new Array(row * col),
+      bodies: [],
+      // Pixel borders of the columns and rows
+      xs: Array.from({ length: col + 1 }, (_, c) => Math.round(c * width / col)),
+      ys: Array.from({ length: row + 1 }, (_, r) => Math.round(r * height / row)),
+      rgba: new Map(),
+    };
+    MATRIX_CANVAS_STATES.set(can, state);
+  }
   
   const ctx = can.getContext("2d");
+  const { xs, ys, values } = state;
   
-  const row = m.length;
-  const col = m[0].length;
+  const dirty = new Set();
+  if(!full) {
+    for(let i = 0; i < row * col; i++) {
+      if(value(i) !== values[i]) {
+        dirty.add(i);
+      }
+    }
+    // Outlines reach into the cells next to a body, before and after it moves
+    for(const body of state.bodies.concat(bodies || [])) {
+      for(const [x, y] of body) {
+        for(const [dx, dy] of [[0, 0], [0, -1], [0, 1], [-1, 0], [1, 0]]) {
+          if(x + dx >= 0 && x + dx < col && y + dy >= 0 && y + dy < row) {
+            dirty.add((y + dy) * col + x + dx);
+          }
+        }
+      }
+    }
+    full = dirty.size > MATRIX_CANVAS_FULL_DRAW * row * col;
+  }
   
-  const lx = width / col;
-  const ly = height / row;
+  if(full) {
+    const img = ctx.createImageData(width, height);
+    const d = img.data;
+    for(let r = 0; r < row; r++) {
+      const start = ys[r] * width * 4;
+      for(let c = 0; c < col; c++) {
+        const i = r * col + c;
+        values[i] = value(i);
+        // A matrix row gets no pixels when there are more rows than pixels
+        if(ys[r] === ys[r + 1]) {
+          continue;
+        }
+        const str = color(values[i]);
+        if(!state.rgba.has(str)) {
+          state.rgba.set(str, parseCanvasColor(ctx, str));
+        }
+        const rgba = state.rgba.get(str);
+        for(let x = xs[c]; x < xs[c + 1]; x++) {
+          d.set(rgba, start + x * 4);
+        }
+      }
+      // The other pixel rows of a matrix row are copies of its first one
+      for(let y = ys[r] + 1; y < ys[r + 1]; y++) {
+        d.copyWithin(y * width * 4, start, start + width * 4);
+      }
+    }
+    ctx.putImageData(img, 0, 0);
+  } else {
+    for(const i of dirty) {
+      const r = Math.floor(i / col);
+      const c = i % col;
+      values[i] = value(i);
+      ctx.fillStyle = color(values[i]);
+      ctx.fillRect(xs[c], ys[r], xs[c + 1] - xs[c], ys[r + 1] - ys[r]);
+    }
+  }
   
-  for(let r = 0; r < row; r++) {
-    for(let c = 0; c < col; c++) {
-      ctx.fillStyle = color(m[r][c]);
-      ctx.fillRect(c * lx, r * ly, lx, ly);
+  state.bodies = bodies ? bodies.map(body => body.slice()) : [];
+  if(bodies) {
+    ctx.strokeStyle = "#000000";
+    ctx.beginPath();
+    for(const body of bodies) {
+      const cells = new Set(body.map(([x, y]) => y * col + x));
+      for(const [x, y] of body) {
+        // Only edges between the body and other cells are drawn
+        if(!cells.has((y - 1) * col + x)) {
+          ctx.moveTo(xs[x], ys[y]);
+          ctx.lineTo(xs[x + 1], ys[y]);
+        }
+        if(!cells.has((y + 1) * col + x)) {
+          ctx.moveTo(xs[x], ys[y + 1]);
+          ctx.lineTo(xs[x + 1], ys[y + 1]);
+        }
+        if(x === 0 || !cells.has(y * col + x - 1)) {
+          ctx.moveTo(xs[x], ys[y]);
+          ctx.lineTo(xs[x], ys[y + 1]);
+        }
+        if(x === col - 1 || !cells.has(y * col + x + 1)) {
+          ctx.moveTo(xs[x + 1], ys[y]);
+          ctx.lineTo(xs[x + 1], ys[y + 1]);
+        }
+      }
     }
+    ctx.stroke();
   }
+  
+  return full ? row * col : dirty.size;
+}
+
+
+/**
+ * Makes the next `drawMatrixOnCanvas` on a canvas draw the whole matrix again, e.g. after something else was drawn on the canvas.
+ *
+ * @param {HTMLCanvasElement} can - The canvas element.
+ */
+function resetMatrixCanvas(can) {
+  MATRIX_CANVAS_STATES.delete(can);
 }
 
 
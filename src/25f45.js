@@ -6,6 +6,7 @@
  * Created: 2025-06-08
  *
  * Exported:
+ * - getLineCells(p1, p2)
  * - drawWall(m, p1, p2, w)
  * - getLinesFromTextarea(el, keyword)
  * - addWorldAndWalls(el)
@@ -13,28 +14,20 @@
 
 
 /**
- * Draws a straight wall on a 2D matrix `m` from point `p1` to `p2` using Bresenham's line algorithm.
+ * Lists the cells of a straight line from point `p1` to `p2` using Bresenham's line algorithm, both ends included.
  *
- * @param {number[][]} m - 2D matrix representing the simulation world (rows × columns).
  * @param {[number, number]} p1 - Starting coordinate as [x, y] (column, row).
  * @param {[number, number]} p2 - Ending coordinate as [x, y] (column, row).
- * @param {number} w - Wall type or value to fill into each cell along the wall.
  *
- * @returns {void} - The matrix `m` is modified in-place; function does not return anything.
+ * @returns {Array<[number, number]>} - Cells as [x, y], in order from `p1` to `p2`.
  *
  * @example
- * let m = Array.from({ length: 10 }, () => Array(10).fill(0));
- * drawWall(m, [3, 2], [5, 2], 1);  // Horizontal wall at row 2 from col 3 to 5
- * drawWall(m, [0, 0], [5, 5], 2);  // Diagonal wall from top-left to center
- * drawWall(m, [7, 0], [7, 4], 3);  // Vertical wall in column 7 from row 0 to 4
+ * getLineCells([0, 0], [3, 1]);  // [[0, 0], [1, 0], [2, 1], [3, 1]]
  */
-function drawWall(m, p1, p2, w) {
+function getLineCells(p1, p2) {
   const [x1, y1] = p1;
   const [x2, y2] = p2;
 
-  const rows = m.length;
-  const cols = m[0].length;
-
   const dx = Math.abs(x2 - x1);
   const dy = -Math.abs(y2 - y1);
   const sx = x1 < x2 ? 1 : -1;
@@ -44,10 +37,9 @@ function drawWall(m, p1, p2, w) {
   let x = x1;
   let y = y1;
 
+  const cells = [];
   while (true) {
-    if (x >= 0 && x < cols && y >= 0 && y < rows) {
-      m[y][x] = w;  // m[row][col] = m[y][x]
-    }
+    cells.push([x, y]);
 
     if (x === x2 && y === y2) break;
     const e2 = 2 * err;
@@ -60,6 +52,40 @@ function drawWall(m, p1, p2, w) {
       y += sy;
     }
   }
+  return cells;
+}
+
+
+/**
+ * Draws a straight wall on a 2D matrix `m` from point `p1` to `p2` using Bresenham's line algorithm.
+ *
+ * @param {number[][]|Grid} m - 2D matrix representing the simulation world (rows × columns), or a `Grid` (26j25.js).
+ * @param {[number, number]} p1 - Starting coordinate as [x, y] (column, row).
+ * @param {[number, number]} p2 - Ending coordinate as [x, y] (column, row).
+ * @param {number} w - Wall type or value to fill into each cell along the wall.
+ *
+ * @returns {void} - The matrix `m` is modified in-place; function does not return anything.
+ *
+ * @example
+ * let m = Array.from({ length: 10 }, () => Array(10).fill(0));
+ * drawWall(m, [3, 2], [5, 2], 1);  // Horizontal wall at row 2 from col 3 to 5
+ * drawWall(m, [0, 0], [5, 5], 2);  // Diagonal wall from top-left to center
+ * drawWall(m, [7, 0], [7, 4], 3);  // Vertical wall in column 7 from row 0 to 4
+ */
+function drawWall(m, p1, p2, w) {
+  const grid = typeof m.set === "function";
+  const rows = grid ? m.rows : m.length;
+  const cols = grid ? m.cols : m[0].length;
+
+  for (const [x, y] of getLineCells(p1, p2)) {
+    if (x >= 0 && x < cols && y >= 0 && y < rows) {
+      if (grid) {
+        m.set(x, y, w);
+      } else {
+        m[y][x] = w;  // m[row][col] = m[y][x]
+      }
+    }
+  }
 }
 
 
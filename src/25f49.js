@@ -101,15 +101,19 @@
 /**
  * Draws or places an agent on a 2D grid matrix at a specified position.
  *
- * @param {Array<Array<any>>} m - A 2D array (matrix) representing the environment or grid.
+ * @param {Array<Array<any>>|Grid} m - A 2D array (matrix) representing the environment or grid, or a `Grid` (26j25.js).
  * @param {[number, number]} p - A 2-element array specifying the [x, y] position (column, row) on the matrix.
  * @param {any} w - The value to assign to the specified position in the matrix (e.g., agent's symbol or ID).
  *
- * The function modifies the matrix in place by setting `m[y][x] = w`.
+ * The function modifies the matrix in place by setting `m[y][x] = w`, or `m.set(x, y, w)` for a `Grid`.
  */
  function drawAgent(m, p, w) {
   const [x, y] = p;
-  m[y][x] = w;  // m[row][col] = m[y][x]
+  if(typeof m.set === "function") {
+    m.set(x, y, w);
+  } else {
+    m[y][x] = w;  // m[row][col] = m[y][x]
+  }
 }
 
 
@@ -7,7 +7,7 @@
  *
  * Exported:
  * - simulate()
- * - generateDirection(m)
+ * - generateDirection(m, rng)
  */
 
 
@@ -26,6 +26,7 @@ let t;
  *
  * This function also updates the time display and canvas rendering in the DOM.
  *
+ * @deprecated Use `Simulation` (26j21.js).
  * @returns {void}
  */
 function simulate() {
@@ -66,32 +67,38 @@ function simulate() {
 /**
  * Generates a movement direction based on a probability matrix.
  *
- * This function selects a movement direction from a 3×3 probability matrix `m`
- * using a random draw. Each element of `m` represents the probability of moving 
- * in a specific direction relative to the agent's current position.
+ * This function selects a movement direction from an odd-sized square probability
+ * matrix `m`, e.g. 3×3 or 5×5, using a random draw. Each element of `m` represents
+ * the probability of moving in a specific direction relative to the agent's current
+ * position.
  *
  * The matrix is interpreted such that the center element corresponds to no movement,
- * and other elements correspond to adjacent moves (e.g., up-left, down, right, etc.).
+ * and other elements correspond to moves by their offset from the center (e.g., in a
+ * 5×5 matrix the top-left element is a jump of two cells up and two cells left).
  *
- * @param {number[][]} m - A 3×3 matrix of movement probabilities that sums to 1.
- * @returns {[number, number]} A direction vector [dx, dy], where dx and dy are integers in [-1, 0, 1].
+ * @param {number[][]} m - An odd-sized square matrix of movement probabilities that sums to 1.
+ * @param {function(): number} [rng=Math.random] - Random number generator, e.g. from `createRandom(seed)` for reproducible runs.
+ * @returns {[number, number]} A direction vector [dx, dy], where dx and dy are integers in [-1, 0, 1] for a 3×3 matrix and in [-2, 2] for a 5×5 one. When the matrix sums to less than the random draw, the agent stays with [0, 0].
  */
-function generateDirection(m) {
-  const x = Math.random();
+function generateDirection(m, rng = Math.random) {
+  const x = rng();
   const ROWS = m.length;
   const COLS = m[0].length;
+  const R0 = (ROWS - 1) / 2;
+  const C0 = (COLS - 1) / 2;
   
   let y = 0;
   for(let r = 0; r < ROWS; r++) {
     for(let c = 0; c < COLS; c++) {
       y += m[r][c];
       if(y > x) {
-        let dx = c - 1;
-        let dy = r - 1;
+        let dx = c - C0;
+        let dy = r - R0;
         return [dx, dy];
       }
     }
   }
+  return [0, 0];
 }
 
 
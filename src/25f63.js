@@ -204,6 +204,7 @@ function addAgents3(el) {
  *
  * This function also updates the time display and canvas rendering in the DOM.
  *
+ * @deprecated Use `Simulation` (26j21.js).
  * @returns {void}
  */
 function simulate2() {
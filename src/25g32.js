@@ -68,6 +68,7 @@ function addConcentration_v0_2(el) {
  *
  * This function also updates the time display and canvas rendering in the DOM.
  *
+ * @deprecated Use `Simulation` (26j21.js).
  * @returns {void}
  */
 function simulate_v0_2() {
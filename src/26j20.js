@@ -0,0 +1,1630 @@
+/**
+ * 26j20.js
+ * Functions used in butiran/26j20 note
+ *
+ * Author: Sparisoma Viridi (https://github.com/dudung)
+ * Created: 2026-10-19
+ * Modified: 2026-10-19 (colors and palettes)
+ *
+ * Exported:
+ * - parseAbmInput(text)
+ * - readScenarioFromTextarea(el)
+ * - formatAbmError(err)
+ * - validateScenario(scenario, options)
+ * - loadAbmScenario(text, options)
+ * - serializeAbmScenario(scenario)
+ * - writeScenarioToTextarea(el, scenario)
+ * - createScenarioFromWorld(world, agents, mpm, options)
+ * - getAbmKeywords(version)
+ * - migrateAbmScenario(scenario)
+ * - migrateAbmInput(text)
+ * - addFormat(el)
+ * - addSourceAndSink(el)
+ * - addFilterDirectives(el)
+ *
+ * Requires:
+ * - addTextToTextarea, COLOR_PALETTES (25e41.js)
+ * - getLineCells (25f45.js)
+ *
+ * ABM input grammar, one statement per line and tokens separated by spaces:
+ *
+ *   input     = { line } ;
+ *   line      = blank | comment | directive ;
+ *   comment   = "#" { any } ;
+ *   directive = format | world | wall | mpmat | agent | tend | fraction
+ *             | seed | update | boundary | source | sink | filter | rule
+ *             | weight | shape | attr | color | palette
+ *             | schedule ( wall | mpmat | source | sink ) ;
+ *   schedule  = "AT" int | "FROM" int "TO" int ;   (active from step t1 on,
+ *                                                  or from t1 until before t2)
+ *   format    = "FORMAT" version ;                 (e.g. 1.4, first directive)
+ *   world     = "WORLD" int int ;                  (cols rows)
+ *   wall      = "WALL" int int int int int ;       (x1 y1 x2 y2 type)
+ *   mpmat     = "MPMAT" int [ "IF" cond { cond } ] NL row { NL row } ;
+ *                                                  (agent type, n rows)
+ *   cond      = dir cell | name op number ;        (all must hold)
+ *   op        = "<" | "<=" | ">" | ">=" | "=" ;
+ *   dir       = "N" | "NE" | "E" | "SE" | "S" | "SW" | "W" | "NW" ;
+ *   cell      = "WALL" | "AGENT" | "SAME" | "EMPTY" ;
+ *   row       = number { number } ;                (n numbers, n odd)
+ *   agent     = "AGENT" int int int { name number } ; (x y type, attribute values)
+ *   tend      = "TEND" int ;
+ *   fraction  = "FRACTION" number { number } ;
+ *   seed      = "SEED" int ;                       (random number seed)
+ *   update    = "UPDATE" ( "SEQUENTIAL" | "RANDOM" | "SYNCHRONOUS" ) ;
+ *   boundary  = "BOUNDARY" ( "X" | "Y" | "XY" )
+ *               ( "PERIODIC" | "REFLECTING" | "ABSORBING" ) ;
+ *   source    = "SOURCE" int int int int int number ; (x1 y1 x2 y2 type rate)
+ *   sink      = "SINK" int int int int { int } ;   (x1 y1 x2 y2 types)
+ *   filter    = "FILTER" int int int int
+ *               ( "PASS" | "BLOCK" | "CAPTURE" ) { int } ; (x1 y1 x2 y2 mode types)
+ *   rule      = "RULE" int int ( "SWAP" | "PUSH" | "STICK" | "REACT" int int )
+ *               number { effect } ;              (types a b, probability)
+ *   effect    = ( "ADD" | "SET" ) name number number ; (values for a and b)
+ *   weight    = "WEIGHT" int cell number ;         (type, neighbor, weight)
+ *   shape     = "SHAPE" int int int { int int } ;  (type, cell offsets dx dy)
+ *   attr      = "ATTR" int name number ;           (type, attribute, initial value)
+ *   color     = "COLOR" int hex { word } ;         (type, #rgb or #rrggbb, label)
+ *   palette   = "PALETTE" word ;                   (e.g. viridis, see registerPalette)
+ *   name      = lowercase letter { letter | digit | "_" } ;
+ *
+ * Comment lines at the top of the input, before any blank line or directive,
+ * form the header, where the first one is the title and the others are
+ * "Key: value" metadata.
+ *
+ * Keywords available in each format version are listed in
+ * `ABM_FORMAT_VERSIONS`. Inputs written before FORMAT existed declare their
+ * version as a "# Format Version: x" header comment, which is only used as
+ * the starting point of `migrateAbmScenario`.
+ */
+
+
+const ABM_DIRECTIVES = {
+  FORMAT: ["version"],
+  WORLD: ["int", "int"],
+  WALL: ["int", "int", "int", "int", "int"],
+  MPMAT: ["int"],
+  AGENT: ["int", "int", "int"],
+  TEND: ["int"],
+  FRACTION: ["number..."],
+  SEED: ["int"],
+  UPDATE: ["SEQUENTIAL|RANDOM|SYNCHRONOUS"],
+  BOUNDARY: ["X|Y|XY", "PERIODIC|REFLECTING|ABSORBING"],
+  SOURCE: ["int", "int", "int", "int", "int", "number"],
+  SINK: ["int", "int", "int", "int", "int*"],
+  FILTER: ["int", "int", "int", "int", "PASS|BLOCK|CAPTURE", "int*"],
+  RULE: ["int", "int", "SWAP|PUSH|STICK|REACT", "number..."],
+  WEIGHT: ["int", "WALL|AGENT|SAME|EMPTY", "number"],
+  SHAPE: ["int", "int", "int", "int*"],
+  ATTR: ["int", "name", "number"],
+  COLOR: ["int", "color", "word*"],
+  PALETTE: ["word"],
+};
+
+const ABM_SCHEDULED = ["WALL", "MPMAT", "SOURCE", "SINK"];
+
+const ABM_COMPARISONS = {
+  "<": (v, w) => v < w,
+  "<=": (v, w) => v <= w,
+  ">": (v, w) => v > w,
+  ">=": (v, w) => v >= w,
+  "=": (v, w) => v === w,
+};
+
+const ABM_COMPASS = {
+  N: [0, -1], NE: [1, -1], E: [1, 0], SE: [1, 1],
+  S: [0, 1], SW: [-1, 1], W: [-1, 0], NW: [-1, -1],
+};
+
+const ABM_MPMAT_SIZE = 3;
+
+const ABM_DEFAULT_TEND = 250;
+
+const ABM_FORMAT_VERSIONS = [
+  { version: "1.0", keywords: ["WORLD", "WALL"] },
+  { version: "1.1", keywords: ["MPMAT", "AGENT"] },
+  { version: "1.2", keywords: [] },
+  {
+    version: "1.3",
+    keywords: ["TEND", "FRACTION"],
+    migrate: (scenario, report) => {
+      if(scenario.tend === null) {
+        scenario.tend = ABM_DEFAULT_TEND;
+        report.push("added TEND " + ABM_DEFAULT_TEND + " as simulation end time");
+      }
+    },
+  },
+  {
+    version: "1.4",
+    keywords: ["FORMAT"],
+    migrate: (scenario, report) => {
+      const legacy = scenario.header.meta["Format Version"];
+      if(legacy !== undefined) {
+        delete scenario.header.meta["Format Version"];
+        report.push("replaced header comment 'Format Version: " + legacy
+          + "' by FORMAT directive");
+      }
+    },
+  },
+  { version: "1.5", keywords: ["SEED"] },
+  { version: "1.6", keywords: ["UPDATE"] },
+  { version: "1.7", keywords: ["BOUNDARY"] },
+  { version: "1.8", keywords: ["SOURCE", "SINK"] },
+  { version: "1.9", keywords: ["FILTER"] },
+  { version: "1.10", keywords: ["RULE"] },
+  { version: "1.11", keywords: ["IF", "WEIGHT"] },
+  { version: "1.12", keywords: [] },
+  { version: "1.13", keywords: ["SHAPE"] },
+  { version: "1.14", keywords: ["ATTR", "ADD", "SET"] },
+  { version: "1.15", keywords: ["AT", "FROM", "TO"] },
+  { version: "1.16", keywords: ["COLOR", "PALETTE"] },
+  { version: "1.17", keywords: [] },
+];
+
+const ABM_LARGE_MPMAT_VERSION = "1.12";
+
+const ABM_AGENT_ATTR_VERSION = "1.17";
+
+const ABM_MPMAT_TOLERANCE = 1e-6;
+
+const ABM_FORMAT_CURRENT = ABM_FORMAT_VERSIONS[ABM_FORMAT_VERSIONS.length - 1].version;
+
+
+/**
+ * Creates an empty scenario object, which is the typed form of an ABM input.
+ *
+ * @returns {Object} Scenario with `header`, `format`, `world`, `walls`, `mpmat`, `agents`, `tend`, `fraction`, `seed`, `update`, `boundary`, `sources`, `sinks`, `filters`, `rules`, `weights`, `shapes`, `attrs`, `colors` and `palette` fields, where `boundary` is null or { x, y } with the mode of each axis or null, every shape is { type, cells } with the offsets [dx, dy] of its cells from the agent position, starting with [0, 0], every attribute is { type, name, value } with its initial value, every agent is { x, y, type } with `attrs` only when its AGENT line sets attribute values, every color is { type, color, label } with an empty label when none is given, and walls, matrices, sources and sinks written after AT or FROM carry a `schedule` { from, to }, where `to` is null for AT.
+ */
+function createAbmScenario() {
+  return {
+    header: { title: "", meta: {} },
+    format: null,
+    world: null,
+    walls: [],
+    mpmat: [],
+    agents: [],
+    tend: null,
+    fraction: null,
+    seed: null,
+    update: null,
+    boundary: null,
+    sources: [],
+    sinks: [],
+    filters: [],
+    rules: [],
+    weights: [],
+    shapes: [],
+    attrs: [],
+    colors: [],
+    palette: null,
+  };
+}
+
+
+/**
+ * Creates an error object pointing to a position in the ABM input.
+ *
+ * @param {number} line - Line number, starting from 1.
+ * @param {number} column - Column number, starting from 1.
+ * @param {string} code - Short error code, e.g. "unknown-keyword".
+ * @param {string} message - Human readable description.
+ * @returns {{line: number, column: number, code: string, message: string}}
+ */
+function createAbmError(line, column, code, message) {
+  return { line, column, code, message };
+}
+
+
+/**
+ * Splits a line into tokens separated by whitespace and remembers where each token starts.
+ *
+ * @param {string} str - A single line of the input.
+ * @returns {Array<{text: string, column: number}>} Tokens with 1-based columns.
+ */
+function tokenizeAbmLine(str) {
+  const tokens = [];
+  const re = /\S+/g;
+  let m;
+  while((m = re.exec(str)) !== null) {
+    tokens.push({ text: m[0], column: m.index + 1 });
+  }
+  return tokens;
+}
+
+
+/**
+ * Converts a token into a value of the requested kind.
+ *
+ * @param {{text: string, column: number}} token - Token to convert.
+ * @param {string} kind - Either "int", "number", "version", "name", "color", "word" for any token or a list of words such as "A|B".
+ * @param {number} line - Line number used for the error object.
+ * @param {Object[]} errors - List where an error is pushed when conversion fails.
+ * @returns {number|string|undefined} The value, or undefined if the token is not valid.
+ */
+function readAbmValue(token, kind, line, errors) {
+  if(kind === "version") {
+    if(!/^\d+\.\d+$/.test(token.text)) {
+      errors.push(createAbmError(line, token.column, "not-a-version",
+        "expected a version such as " + ABM_FORMAT_CURRENT
+        + " but found '" + token.text + "'"));
+      return undefined;
+    }
+    return token.text;
+  }
+
+  if(kind === "name") {
+    if(!/^[a-z][A-Za-z0-9_]*$/.test(token.text)) {
+      errors.push(createAbmError(line, token.column, "not-a-name",
+        "expected an attribute name such as energy but found '" + token.text + "'"));
+      return undefined;
+    }
+    return token.text;
+  }
+
+  if(kind === "color") {
+    if(!/^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/.test(token.text)) {
+      errors.push(createAbmError(line, token.column, "not-a-color",
+        "expected a color such as #e69f00 but found '" + token.text + "'"));
+      return undefined;
+    }
+    return token.text.toLowerCase();
+  }
+
+  if(kind === "word") {
+    return token.text;
+  }
+
+  if(kind.includes("|")) {
+    const words = kind.split("|");
+    if(!words.includes(token.text)) {
+      errors.push(createAbmError(line, token.column, "not-a-choice",
+        "expected one of " + words.join(", ") + " but found '" + token.text + "'"));
+      return undefined;
+    }
+    return token.text;
+  }
+
+  const isNumber = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(token.text);
+  if(!isNumber) {
+    errors.push(createAbmError(line, token.column, "not-a-number",
+      "expected a number but found '" + token.text + "'"));
+    return undefined;
+  }
+  const val = Number(token.text);
+  if(kind === "int" && !Number.isInteger(val)) {
+    errors.push(createAbmError(line, token.column, "not-an-integer",
+      "expected an integer but found '" + token.text + "'"));
+    return undefined;
+  }
+  return val;
+}
+
+
+/**
+ * Reads the arguments of a directive according to its specification in `ABM_DIRECTIVES`.
+ *
+ * A specification item "number..." accepts one or more numbers and "int*" zero or more integers, and such an item must be the last one.
+ *
+ * @param {Array<{text: string, column: number}>} tokens - Tokens of the line, including the keyword.
+ * @param {string[]} spec - Expected argument kinds.
+ * @param {number} line - Line number used for error objects.
+ * @param {Object[]} errors - List where errors are pushed.
+ * @returns {Array<number|string>|null} Argument values, or null if any of them is invalid.
+ */
+function readAbmArguments(tokens, spec, line, errors) {
+  const key = tokens[0];
+  const args = tokens.slice(1);
+  const last = spec.length > 0 ? spec[spec.length - 1] : "";
+  const variadic = last.endsWith("...") || last.endsWith("*");
+  const min = last.endsWith("*") ? spec.length - 1 : spec.length;
+  const countOk = variadic ? args.length >= min : args.length === min;
+
+  if(!countOk) {
+    const column = args.length > min ? args[min].column : key.column;
+    const expected = variadic ? "at least " + min : String(min);
+    errors.push(createAbmError(line, column, "argument-count",
+      key.text + " expects " + expected + " argument(s) but got " + args.length));
+    return null;
+  }
+
+  const vals = [];
+  let ok = true;
+  for(let i = 0; i < args.length; i++) {
+    const kind = spec[Math.min(i, spec.length - 1)].replace(/\.\.\.$|\*$/, "");
+    const val = readAbmValue(args[i], kind, line, errors);
+    if(val === undefined) {
+      ok = false;
+    }
+    vals.push(val);
+  }
+  return ok ? vals : null;
+}
+
+
+/**
+ * Reads the conditions of a conditional MPMAT, i.e. the words after its type such as "IF S WALL SW EMPTY energy < 5".
+ *
+ * A condition is either a direction and a cell, or an attribute name, a comparison and a number. Directions are upper case and attribute names start with a lower case letter, which tells the two apart.
+ *
+ * @param {Array<{text: string, column: number}>} tokens - Tokens of the MPMAT line, including the keyword and type.
+ * @param {number} line - Line number used for error objects.
+ * @param {Object[]} errors - List where errors are pushed.
+ * @returns {Array<{dir: string, cell: string}|{attr: string, op: string, value: number}>|null} Conditions, empty for a plain MPMAT, or null if they are invalid.
+ */
+function readAbmConditions(tokens, line, errors) {
+  const words = tokens.slice(2);
+  if(words.length === 0) {
+    return [];
+  }
+
+  const fail = (token, message) => {
+    errors.push(createAbmError(line, token.column, "bad-condition", message));
+    return null;
+  };
+  if(words[0].text !== "IF") {
+    return fail(words[0], "expected IF after the MPMAT type but found '" + words[0].text + "'");
+  }
+  if(words.length === 1) {
+    return fail(words[0], "expected conditions after IF, e.g. IF S WALL");
+  }
+
+  const conditions = [];
+  let k = 1;
+  while(k < words.length) {
+    if(/^[a-z]/.test(words[k].text)) {
+      const [attr, op, value] = [words[k], words[k + 1], words[k + 2]];
+      if(value === undefined) {
+        return fail(attr, "expected an attribute, a comparison and a number, e.g. energy < 5");
+      }
+      if(ABM_COMPARISONS[op.text] === undefined) {
+        return fail(op, "expected one of " + Object.keys(ABM_COMPARISONS).join(", ")
+          + " but found '" + op.text + "'");
+      }
+      const v = readAbmValue(value, "number", line, errors);
+      if(readAbmValue(attr, "name", line, errors) === undefined || v === undefined) {
+        return null;
+      }
+      conditions.push({ attr: attr.text, op: op.text, value: v });
+      k += 3;
+      continue;
+    }
+
+    const [dir, cell] = [words[k], words[k + 1]];
+    if(cell === undefined) {
+      return fail(dir, "expected pairs of direction and cell after IF, e.g. IF S WALL");
+    }
+    if(ABM_COMPASS[dir.text] === undefined) {
+      return fail(dir, "expected a direction such as S or NW but found '" + dir.text + "'");
+    }
+    if(!["WALL", "AGENT", "SAME", "EMPTY"].includes(cell.text)) {
+      return fail(cell, "expected WALL, AGENT, SAME or EMPTY but found '" + cell.text + "'");
+    }
+    conditions.push({ dir: dir.text, cell: cell.text });
+    k += 2;
+  }
+  return conditions;
+}
+
+
+/**
+ * Reads the schedule in front of a directive, i.e. "AT t" or "FROM t1 TO t2".
+ *
+ * @param {Array<{text: string, column: number}>} tokens - Tokens of the line, starting with AT or FROM.
+ * @param {number} line - Line number used for error objects.
+ * @param {Object[]} errors - List where errors are pushed.
+ * @returns {{schedule: {from: number, to: number|null}, rest: Object[]}|null} Schedule, with a null `to` for AT, and the tokens of the directive itself, or null if the schedule is invalid.
+ */
+function readAbmSchedule(tokens, line, errors) {
+  const at = tokens[0].text === "AT";
+  const n = at ? 2 : 4;
+  const fail = (token, message) => {
+    errors.push(createAbmError(line, token.column, "bad-schedule", message));
+    return null;
+  };
+  if(tokens.length <= n || (!at && tokens[2].text !== "TO")) {
+    return fail(tokens[0], at
+      ? "expected a step and a directive after AT, e.g. AT 100 WALL 0 20 39 20 10"
+      : "expected FROM t1 TO t2 and a directive, e.g. FROM 50 TO 80 SOURCE 0 0 9 0 41 1");
+  }
+
+  const steps = (at ? [tokens[1]] : [tokens[1], tokens[3]]).map(tk => {
+    const v = readAbmValue(tk, "int", line, errors);
+    return v !== undefined && v < 0 ? fail(tk, "expected a step of at least 0 but found " + v) : v;
+  });
+  if(steps.some(v => v === undefined || v === null)) {
+    return null;
+  }
+  const [from, to] = steps;
+  if(!at && to <= from) {
+    return fail(tokens[3], "TO must be later than FROM but got " + from + " and " + to);
+  }
+  if(!ABM_SCHEDULED.includes(tokens[n].text)) {
+    return fail(tokens[n], "only " + ABM_SCHEDULED.join(", ")
+      + " can be scheduled but found '" + tokens[n].text + "'");
+  }
+  return { schedule: { from: from, to: at ? null : to }, rest: tokens.slice(n) };
+}
+
+
+/**
+ * Writes the schedule of a scheduled directive as it appears in front of it.
+ *
+ * @param {Object} item - Wall, matrix, source or sink of a scenario.
+ * @returns {string} E.g. "AT 100 " or "FROM 50 TO 80 ", or "" without schedule.
+ */
+function formatAbmSchedule(item) {
+  const s = item.schedule;
+  if(s === undefined) {
+    return "";
+  }
+  return s.to === null ? "AT " + s.from + " " : "FROM " + s.from + " TO " + s.to + " ";
+}
+
+
+/**
+ * Reads the attribute changes at the end of a RULE line, such as "ADD energy 1 -1 SET charge 0 0".
+ *
+ * @param {Array<{text: string, column: number}>} tokens - Tokens from the first ADD or SET on, or none.
+ * @param {number} line - Line number used for error objects.
+ * @param {Object[]} errors - List where errors are pushed.
+ * @returns {Array<{op: string, name: string, va: number, vb: number}>|null} Changes of agents a and b, or null if they are invalid.
+ */
+function readAbmEffects(tokens, line, errors) {
+  const effects = [];
+  for(let k = 0; k < tokens.length; k += 4) {
+    const group = tokens.slice(k, k + 4);
+    if(group.length < 4 || !["ADD", "SET"].includes(group[0].text)) {
+      errors.push(createAbmError(line, group[0].column, "bad-effect",
+        "expected ADD or SET with an attribute and values for both agents,"
+        + " e.g. ADD energy 1 -1"));
+      return null;
+    }
+    const vals = readAbmArguments(group, ["name", "number", "number"], line, errors);
+    if(vals === null) {
+      return null;
+    }
+    effects.push({ op: group[0].text, name: vals[0], va: vals[1], vb: vals[2] });
+  }
+  return effects;
+}
+
+
+/**
+ * Reads the attribute values at the end of an AGENT line, such as "energy 3 charge -1", which replace the initial values of ATTR for that agent.
+ *
+ * @param {Array<{text: string, column: number}>} tokens - Tokens after the type, or none.
+ * @param {number} line - Line number used for error objects.
+ * @param {Object[]} errors - List where errors are pushed.
+ * @returns {Object<string, number>|null} Values by attribute name, or null if they are invalid.
+ */
+function readAbmAgentAttributes(tokens, line, errors) {
+  const attrs = {};
+  for(let k = 0; k < tokens.length; k += 2) {
+    const group = tokens.slice(k, k + 2);
+    if(group.length < 2) {
+      errors.push(createAbmError(line, group[0].column, "bad-attribute",
+        "expected an attribute and its value, e.g. energy 3"));
+      return null;
+    }
+    const vals = readAbmArguments([{ text: "AGENT attribute", column: group[0].column }]
+      .concat(group), ["name", "number"], line, errors);
+    if(vals === null) {
+      return null;
+    }
+    attrs[vals[0]] = vals[1];
+  }
+  return attrs;
+}
+
+
+/**
+ * Writes a condition of a conditional MPMAT as it appears after IF.
+ *
+ * @param {Object} c - Condition from `readAbmConditions`.
+ * @returns {string} E.g. "S WALL" or "energy < 5".
+ */
+function formatAbmCondition(c) {
+  if(c.dir !== undefined) {
+    return c.dir + " " + c.cell;
+  }
+  return c.attr + " " + c.op + " " + formatAbmNumber(c.value);
+}
+
+
+/**
+ * Parses ABM input text into a scenario object in a single pass.
+ *
+ * Unlike `getLineFromTextarea`, `getLinesFromTextarea` and `getBlocksFromTextarea`, which rescan the text for each keyword and silently skip malformed lines, this function visits every line once and reports every problem with its line and column.
+ *
+ * When the input starts with a FORMAT directive, keywords that are not part of that version are reported as errors. Older inputs can be upgraded with `migrateAbmInput`.
+ *
+ * @param {string} text - ABM input text, e.g. the value of the input textarea.
+ * @returns {{scenario: Object, errors: Object[], locations: Object}} The scenario, a list of error objects, which is empty for valid input, and the line and column of every AGENT directive in `locations.agents`, in the order of `scenario.agents`, for `validateScenario`.
+ *
+ * @example
+ * const { scenario, errors } = parseAbmInput("WORLD 40 40\nAGENT 1 2 48");
+ * // scenario.world  = { cols: 40, rows: 40 }
+ * // scenario.agents = [{ x: 1, y: 2, type: 48 }]
+ * // errors          = []
+ */
+function parseAbmInput(text) {
+  const scenario = createAbmScenario();
+  const errors = [];
+  const locations = { agents: [] };
+  const lines = text.split(/\r?\n/);
+  const n = lines.length;
+
+  let inHeader = true;
+  let keywords = null;
+  let directives = 0;
+  let i = 0;
+  while(i < n) {
+    const line = i + 1;
+    let tokens = tokenizeAbmLine(lines[i]);
+    i++;
+
+    if(tokens.length === 0) {
+      inHeader = false;
+      continue;
+    }
+
+    if(tokens[0].text.startsWith("#")) {
+      if(inHeader) {
+        addAbmHeaderLine(scenario.header, lines[i - 1]);
+      }
+      continue;
+    }
+    inHeader = false;
+
+    let schedule = null;
+    if(tokens[0].text === "AT" || tokens[0].text === "FROM") {
+      if(keywords !== null && !keywords.has(tokens[0].text)) {
+        errors.push(createAbmError(line, tokens[0].column, "unsupported-keyword",
+          tokens[0].text + " is not part of format " + scenario.format));
+      }
+      const read = readAbmSchedule(tokens, line, errors);
+      if(read === null) {
+        continue;
+      }
+      schedule = read.schedule;
+      tokens = read.rest;
+    }
+    const scheduled = item => schedule !== null ? Object.assign(item, { schedule: schedule }) : item;
+
+    const key = tokens[0];
+    const spec = ABM_DIRECTIVES[key.text];
+    if(spec === undefined) {
+      errors.push(createAbmError(line, key.column, "unknown-keyword",
+        "unknown keyword '" + key.text + "'"));
+      continue;
+    }
+
+    if(keywords !== null && key.text !== "FORMAT" && !keywords.has(key.text)) {
+      errors.push(createAbmError(line, key.column, "unsupported-keyword",
+        key.text + " is not part of format " + scenario.format));
+    }
+    directives++;
+
+    // Conditions of MPMAT and changes of RULE are read on their own
+    let argTokens = tokens;
+    let effectTokens = [];
+    if(key.text === "MPMAT") {
+      argTokens = tokens.slice(0, 2);
+    } else if(key.text === "AGENT") {
+      argTokens = tokens.slice(0, 4);
+      effectTokens = tokens.slice(4);
+    } else if(key.text === "RULE") {
+      const k = tokens.findIndex(tk => tk.text === "ADD" || tk.text === "SET");
+      if(k > 0) {
+        argTokens = tokens.slice(0, k);
+        effectTokens = tokens.slice(k);
+      }
+    }
+    const vals = readAbmArguments(argTokens, spec, line, errors);
+
+    if(key.text === "MPMAT") {
+      const conditions = vals !== null ? readAbmConditions(tokens, line, errors) : null;
+      if(conditions !== null && conditions.length > 0 && keywords !== null
+        && !keywords.has("IF")) {
+        errors.push(createAbmError(line, tokens[2].column, "unsupported-keyword",
+          "conditional MPMAT is not part of format " + scenario.format));
+      } else if(conditions !== null && conditions.some(c => c.attr !== undefined)
+        && keywords !== null && !keywords.has("ATTR")) {
+        errors.push(createAbmError(line, tokens[2].column, "unsupported-keyword",
+          "attribute conditions are not part of format " + scenario.format));
+      }
+      const matrix = [];
+      let size = ABM_MPMAT_SIZE;
+      let sizeOk = true;
+      while(matrix.length < size && i < n) {
+        const rowTokens = tokenizeAbmLine(lines[i]);
+        if(rowTokens.length === 0 || rowTokens[0].text.startsWith("#")
+          || ABM_DIRECTIVES[rowTokens[0].text] !== undefined
+          || rowTokens[0].text === "AT" || rowTokens[0].text === "FROM") {
+          break;
+        }
+        if(matrix.length === 0) {
+          size = rowTokens.length;
+          if(size % 2 === 0) {
+            errors.push(createAbmError(i + 1, 1, "even-size",
+              "MPMAT needs an odd size such as 3 or 5 but its first row has "
+              + size + " numbers"));
+            sizeOk = false;
+          } else if(size > ABM_MPMAT_SIZE && scenario.format !== null
+            && compareAbmVersions(scenario.format, ABM_LARGE_MPMAT_VERSION) < 0) {
+            errors.push(createAbmError(i + 1, 1, "unsupported-keyword",
+              size + "×" + size + " MPMAT is not part of format " + scenario.format));
+          }
+        }
+        const rowSpec = Array(size).fill("number");
+        const row = readAbmArguments(
+          [{ text: "MPMAT row", column: 1 }].concat(rowTokens),
+          rowSpec, i + 1, errors
+        );
+        matrix.push(row);
+        i++;
+      }
+      if(matrix.length < size) {
+        errors.push(createAbmError(i + 1 > n ? n : i + 1, 1, "missing-rows",
+          "MPMAT at line " + line + " needs " + size
+          + " rows but got " + matrix.length));
+        continue;
+      }
+      if(conditions !== null && sizeOk && matrix.every(r => r !== null)) {
+        scenario.mpmat.push(scheduled({ type: vals[0], conditions: conditions, matrix: matrix }));
+      }
+      continue;
+    }
+
+    if(vals === null) {
+      continue;
+    }
+
+    switch(key.text) {
+    case "FORMAT":
+      if(directives > 1) {
+        errors.push(createAbmError(line, key.column, "misplaced",
+          "FORMAT must be the first directive"));
+        break;
+      }
+      keywords = getAbmKeywords(vals[0]);
+      if(keywords === null) {
+        errors.push(createAbmError(line, tokens[1].column, "unknown-version",
+          "unknown format version " + vals[0]));
+        break;
+      }
+      scenario.format = vals[0];
+      break;
+    case "WORLD":
+      if(scenario.world !== null) {
+        errors.push(createAbmError(line, key.column, "duplicate",
+          "WORLD is already defined"));
+        break;
+      }
+      scenario.world = { cols: vals[0], rows: vals[1] };
+      break;
+    case "WALL":
+      scenario.walls.push(scheduled({
+        x1: vals[0], y1: vals[1], x2: vals[2], y2: vals[3], type: vals[4],
+      }));
+      break;
+    case "AGENT": {
+      const attrs = readAbmAgentAttributes(effectTokens, line, errors);
+      if(attrs === null) {
+        break;
+      }
+      if(effectTokens.length > 0 && scenario.format !== null
+        && compareAbmVersions(scenario.format, ABM_AGENT_ATTR_VERSION) < 0) {
+        errors.push(createAbmError(line, effectTokens[0].column, "unsupported-keyword",
+          "attribute values of AGENT are not part of format " + scenario.format));
+      }
+      scenario.agents.push(effectTokens.length > 0
+        ? { x: vals[0], y: vals[1], type: vals[2], attrs: attrs }
+        : { x: vals[0], y: vals[1], type: vals[2] });
+      locations.agents.push({ line: line, column: key.column });
+      break;
+    }
+    case "TEND":
+      scenario.tend = vals[0];
+      break;
+    case "FRACTION":
+      scenario.fraction = vals;
+      break;
+    case "SEED":
+      scenario.seed = vals[0];
+      break;
+    case "UPDATE":
+      scenario.update = vals[0];
+      break;
+    case "BOUNDARY":
+      if(scenario.boundary === null) {
+        scenario.boundary = { x: null, y: null };
+      }
+      if(vals[0].includes("X")) {
+        scenario.boundary.x = vals[1];
+      }
+      if(vals[0].includes("Y")) {
+        scenario.boundary.y = vals[1];
+      }
+      break;
+    case "SOURCE":
+      scenario.sources.push(scheduled({
+        x1: vals[0], y1: vals[1], x2: vals[2], y2: vals[3], type: vals[4], rate: vals[5],
+      }));
+      break;
+    case "SINK":
+      scenario.sinks.push(scheduled({
+        x1: vals[0], y1: vals[1], x2: vals[2], y2: vals[3], types: vals.slice(4),
+      }));
+      break;
+    case "FILTER":
+      scenario.filters.push({
+        x1: vals[0], y1: vals[1], x2: vals[2], y2: vals[3], mode: vals[4],
+        types: vals.slice(5),
+      });
+      break;
+    case "RULE": {
+      const [a, b, action, ...nums] = vals;
+      const count = action === "REACT" ? 3 : 1;
+      if(nums.length !== count) {
+        errors.push(createAbmError(line, tokens[3].column, "argument-count",
+          "RULE " + action + " expects " + (count === 3 ? "two types and " : "")
+          + "a probability but got " + nums.length + " number(s)"));
+        break;
+      }
+      const c = count === 3 ? nums[0] : null;
+      const d = count === 3 ? nums[1] : null;
+      const p = nums[count - 1];
+      if(count === 3 && !(Number.isInteger(c) && Number.isInteger(d))) {
+        errors.push(createAbmError(line, tokens[4].column, "not-an-integer",
+          "REACT expects integer types but got " + c + " and " + d));
+        break;
+      }
+      if(p < 0 || p > 1) {
+        errors.push(createAbmError(line, argTokens[argTokens.length - 1].column,
+          "not-a-probability", "expected a probability between 0 and 1 but found " + p));
+        break;
+      }
+      const effects = readAbmEffects(effectTokens, line, errors);
+      if(effects === null) {
+        break;
+      }
+      if(effects.length > 0 && keywords !== null && !keywords.has(effectTokens[0].text)) {
+        errors.push(createAbmError(line, effectTokens[0].column, "unsupported-keyword",
+          effectTokens[0].text + " is not part of format " + scenario.format));
+      }
+      scenario.rules.push({
+        a: a, b: b, action: action, c: c, d: d, p: p, effects: effects,
+      });
+      break;
+    }
+    case "WEIGHT":
+      scenario.weights.push({ type: vals[0], cell: vals[1], w: vals[2] });
+      break;
+    case "SHAPE": {
+      const [type, ...nums] = vals;
+      if(nums.length % 2 !== 0) {
+        errors.push(createAbmError(line, tokens[tokens.length - 1].column, "argument-count",
+          "SHAPE expects pairs of offsets dx dy but got " + nums.length + " number(s)"));
+        break;
+      }
+      const cells = [[0, 0]];
+      for(let k = 0; k < nums.length; k += 2) {
+        if(cells.some(([dx, dy]) => dx === nums[k] && dy === nums[k + 1])) {
+          errors.push(createAbmError(line, tokens[k + 2].column, "bad-shape",
+            "SHAPE " + type + " has cell " + nums[k] + " " + nums[k + 1] + " twice,"
+            + " where 0 0 is the agent position itself"));
+          break;
+        }
+        cells.push([nums[k], nums[k + 1]]);
+      }
+      if(cells.length < nums.length / 2 + 1) {
+        break;
+      }
+      if(scenario.shapes.some(s => s.type === type)) {
+        errors.push(createAbmError(line, tokens[1].column, "duplicate",
+          "SHAPE " + type + " is already defined"));
+        break;
+      }
+      scenario.shapes.push({ type: type, cells: cells });
+      break;
+    }
+    case "ATTR":
+      if(scenario.attrs.some(q => q.type === vals[0] && q.name === vals[1])) {
+        errors.push(createAbmError(line, tokens[2].column, "duplicate",
+          "ATTR " + vals[0] + " " + vals[1] + " is already defined"));
+        break;
+      }
+      scenario.attrs.push({ type: vals[0], name: vals[1], value: vals[2] });
+      break;
+    case "COLOR":
+      if(scenario.colors.some(c => c.type === vals[0])) {
+        errors.push(createAbmError(line, tokens[1].column, "duplicate",
+          "COLOR " + vals[0] + " is already defined"));
+        break;
+      }
+      scenario.colors.push({ type: vals[0], color: vals[1], label: vals.slice(2).join(" ") });
+      break;
+    case "PALETTE":
+      scenario.palette = vals[0];
+      break;
+    }
+  }
+
+  return { scenario, errors, locations };
+}
+
+
+/**
+ * Stores one header comment line in the scenario header.
+ *
+ * The first comment without a "Key: value" form becomes the title, e.g. "# ABM Boundary Condition Input", while lines such as "# Author: [Your Name]" become metadata.
+ *
+ * @param {{title: string, meta: Object}} header - Header of the scenario.
+ * @param {string} str - The comment line, including the leading "#".
+ */
+function addAbmHeaderLine(header, str) {
+  const content = str.trim().replace(/^#+/, "").trim();
+  if(content === "") {
+    return;
+  }
+  const i = content.indexOf(":");
+  if(i > 0) {
+    header.meta[content.slice(0, i).trim()] = content.slice(i + 1).trim();
+  } else if(header.title === "") {
+    header.title = content;
+  }
+}
+
+
+/**
+ * Parses the ABM input written in a textarea element.
+ *
+ * @param {HTMLTextAreaElement} el - Textarea holding the ABM input.
+ * @returns {{scenario: Object, errors: Object[]}} Result of `parseAbmInput`.
+ */
+function readScenarioFromTextarea(el) {
+  return parseAbmInput(el.value);
+}
+
+
+/**
+ * Formats an error object from `parseAbmInput` or `validateScenario` as a single line of text.
+ *
+ * @param {{line: number|null, column: number|null, message: string}} err - The error object, whose line is null when it concerns the scenario as a whole.
+ * @returns {string} E.g. "line 12, col 6: expected a number but found '0.1O'".
+ */
+function formatAbmError(err) {
+  if(err.line === null) {
+    return err.message;
+  }
+  return "line " + err.line + ", col " + err.column + ": " + err.message;
+}
+
+
+/**
+ * Checks the movement probability matrices, agent types and agent positions of a scenario.
+ *
+ * A matrix with a negative entry or with entries not summing to 1 within `ABM_MPMAT_TOLERANCE` is an error, and so is a matrix whose probability of staying negative WEIGHT directives of its type can push below 0, when all eight neighbors are of the kind that lowers it most, since `generateDirection` would then draw directions with wrong or undefined probabilities. With `options.normalize` a matrix with a positive sum is scaled to 1 instead, and a warning is given. Further warnings are given for matrices that never move an agent, because all their weight is in the center, for agent types of AGENT and SOURCE lines without any MPMAT, whose agents never move, for attributes read or changed by MPMAT conditions, RULE lines and AGENT lines without an ATTR for the type, and for a PALETTE that is not registered with `registerPalette`, in which case the default palette is used.
+ *
+ * An agent outside the world, on a WALL that stands from the start or on a cell already taken by an earlier agent is an error, for every cell of its SHAPE, since `Simulation` refuses to place it.
+ *
+ * Issues have the form of parser errors with null line and column, since a scenario does not remember where its parts came from, except for the agent positions when `options.locations` from `parseAbmInput` is given.
+ *
+ * @param {Object} scenario - Scenario from `parseAbmInput`; it is not modified.
+ * @param {Object} [options] - Optional `normalize` flag and `locations` of `parseAbmInput`.
+ * @returns {{scenario: Object, errors: Object[], warnings: Object[]}} Checked copy of the scenario, normalized if requested, and the issues found.
+ *
+ * @example
+ * const { scenario } = parseAbmInput("MPMAT 48\n0 0 0\n0 0 0\n0.5 0.4 0\nAGENT 1 1 41");
+ * validateScenario(scenario, { normalize: true }).warnings.map(formatAbmError);
+ * // ["MPMAT 48 sums to 0.9 and was scaled to 1",
+ * //  "agent type 41 has no MPMAT, so its agents never move"]
+ */
+function validateScenario(scenario, options = {}) {
+  const checked = structuredClone(scenario);
+  const errors = [];
+  const warnings = [];
+  const issue = (list, code, message, at) => list.push(
+    createAbmError(at ? at.line : null, at ? at.column : null, code, message));
+
+  // Lowest change of the center that the WEIGHT lines of a type can give, as in `Simulation.matrixFor`
+  const lowest = {};
+  for(const type of new Set(checked.weights.map(w => w.type))) {
+    const sum = kind => checked.weights
+      .filter(w => w.type === type && (w.cell === kind || (w.cell === "AGENT" && kind === "SAME")))
+      .reduce((s, w) => s + w.w, 0);
+    const low = Math.min(0, ...["WALL", "EMPTY", "SAME", "AGENT"].map(sum));
+    lowest[type] = low * Object.keys(ABM_COMPASS).length;
+  }
+
+  for(const p of checked.mpmat) {
+    const name = formatAbmSchedule(p) + "MPMAT " + p.type + (p.conditions.length > 0
+      ? " IF " + p.conditions.map(formatAbmCondition).join(" ")
+      : "");
+    const values = p.matrix.flat();
+    if(values.some(v => v < 0)) {
+      issue(errors, "negative-probability", name + " has a negative entry");
+      continue;
+    }
+
+    const sum = values.reduce((s, v) => s + v, 0);
+    if(Math.abs(sum - 1) > ABM_MPMAT_TOLERANCE) {
+      if(options.normalize && sum > 0) {
+        p.matrix = p.matrix.map(row => row.map(v => v / sum));
+        issue(warnings, "normalized", name + " sums to " + sum + " and was scaled to 1");
+      } else {
+        issue(errors, "not-normalized", name + " sums to " + sum + " instead of 1");
+        continue;
+      }
+    }
+
+    const c = (p.matrix.length - 1) / 2;
+    const low = lowest[p.type] || 0;
+    if(p.matrix[c][c] + low < -ABM_MPMAT_TOLERANCE) {
+      issue(errors, "negative-probability", "WEIGHT " + p.type + " can lower the probability of staying of "
+        + name + " by " + -low + ", below 0");
+      continue;
+    }
+    if(Math.abs(p.matrix[c][c] - 1) <= ABM_MPMAT_TOLERANCE) {
+      issue(warnings, "never-moves", name + " puts all weight on staying, so it never moves an agent");
+    }
+  }
+
+  const types = new Set(checked.mpmat.map(p => p.type));
+  const used = new Set(checked.agents.map(a => a.type).concat(checked.sources.map(s => s.type)));
+  for(const type of used) {
+    if(!types.has(type)) {
+      issue(warnings, "missing-mpmat", "agent type " + type + " has no MPMAT, so its agents never move");
+    }
+  }
+
+  const declared = (type, name) => checked.attrs.some(q => q.type === type && q.name === name);
+  for(const p of checked.mpmat) {
+    for(const c of p.conditions) {
+      if(c.attr !== undefined && !declared(p.type, c.attr)) {
+        issue(warnings, "unknown-attribute", "MPMAT " + p.type + " reads attribute " + c.attr
+          + " without ATTR " + p.type + " " + c.attr + ", so its condition never holds");
+      }
+    }
+  }
+  for(const a of checked.agents) {
+    for(const name of Object.keys(a.attrs || {})) {
+      if(!declared(a.type, name)) {
+        issue(warnings, "unknown-attribute", "AGENT " + a.x + " " + a.y + " " + a.type
+          + " sets attribute " + name + " without ATTR " + a.type + " " + name);
+      }
+    }
+  }
+  for(const r of checked.rules) {
+    for(const e of r.effects) {
+      for(const type of [r.a, r.b]) {
+        if(!declared(type, e.name)) {
+          issue(warnings, "unknown-attribute", "RULE " + r.a + " " + r.b + " changes attribute "
+            + e.name + " without ATTR " + type + " " + e.name);
+        }
+      }
+    }
+  }
+
+  if(checked.world !== null) {
+    const { cols, rows } = checked.world;
+    const boundary = checked.boundary || { x: null, y: null };
+    const wrap = (v, n, mode) => mode === "PERIODIC" ? ((v % n) + n) % n : v;
+    const shapes = {};
+    for(const s of checked.shapes) {
+      shapes[s.type] = s.cells;
+    }
+    const taken = new Map();
+    for(const w of checked.walls.filter(q => q.schedule === undefined)) {
+      for(const [x, y] of getLineCells([w.x1, w.y1], [w.x2, w.y2])) {
+        if(x >= 0 && x < cols && y >= 0 && y < rows) {
+          taken.set(y * cols + x, "WALL " + w.type);
+        }
+      }
+    }
+    checked.agents.forEach((a, k) => {
+      const at = options.locations ? options.locations.agents[k] : undefined;
+      const name = "AGENT " + a.x + " " + a.y + " " + a.type;
+      const cells = (shapes[a.type] || [[0, 0]]).map(([dx, dy]) => dx === 0 && dy === 0
+        ? [a.x, a.y]
+        : [wrap(a.x + dx, cols, boundary.x), wrap(a.y + dy, rows, boundary.y)]);
+      for(const [x, y] of cells) {
+        if(x < 0 || x >= cols || y < 0 || y >= rows) {
+          issue(errors, "outside-world", name + " covers cell (" + x + ", " + y
+            + "), which lies outside the world", at);
+          return;
+        }
+        if(taken.has(y * cols + x)) {
+          issue(errors, "occupied", name + " covers cell (" + x + ", " + y
+            + "), which is already taken by " + taken.get(y * cols + x), at);
+          return;
+        }
+      }
+      cells.forEach(([x, y]) => taken.set(y * cols + x, name));
+    });
+  }
+
+  // Pages with an older 25e41.js have no palette registry at all
+  if(checked.palette !== null && (typeof COLOR_PALETTES === "undefined"
+    || COLOR_PALETTES[checked.palette] === undefined)) {
+    issue(warnings, "unknown-palette", "palette " + checked.palette
+      + " is not registered, so the default palette is used");
+  }
+
+  return { scenario: checked, errors, warnings };
+}
+
+
+/**
+ * Parses and validates ABM input text, which is the usual way of loading a scenario before running it.
+ *
+ * @param {string} text - ABM input text.
+ * @param {Object} [options] - Options of `validateScenario`, e.g. `normalize`.
+ * @returns {{scenario: Object, errors: Object[], warnings: Object[]}} Validated scenario, errors of both steps and warnings.
+ *
+ * @example
+ * const { scenario, errors, warnings } = loadAbmScenario(txaInput.value, { normalize: true });
+ * if(errors.length === 0) {
+ *   const sim = new Simulation(scenario);
+ * }
+ */
+function loadAbmScenario(text, options = {}) {
+  const parsed = parseAbmInput(text);
+  const validated = validateScenario(parsed.scenario,
+    Object.assign({ locations: parsed.locations }, options));
+  return {
+    scenario: validated.scenario,
+    errors: parsed.errors.concat(validated.errors),
+    warnings: validated.warnings,
+  };
+}
+
+
+/**
+ * Formats a number for the ABM input, using two decimals as in the sample inputs unless more are needed to keep the value exact.
+ *
+ * @param {number} val - The value to format.
+ * @returns {string} E.g. "0.50" for 0.5 and "0.125" for 0.125.
+ */
+function formatAbmNumber(val) {
+  const str = val.toFixed(2);
+  return Number(str) === val ? str : String(val);
+}
+
+
+/**
+ * Writes a scenario object as canonical ABM input text.
+ *
+ * Sections appear in a fixed order (header, FORMAT, WORLD, TEND, FRACTION, SEED, UPDATE, BOUNDARY, WALL, SOURCE, SINK, FILTER, RULE, SHAPE, ATTR, PALETTE, COLOR, MPMAT, WEIGHT, AGENT) and empty ones are left out, so that `parseAbmInput` reads the text back into an identical scenario. Without a header the text starts with a blank line, which keeps the first section comment from being read as a title.
+ *
+ * @param {Object} scenario - Scenario as returned by `parseAbmInput` or `createScenarioFromWorld`.
+ * @returns {string} ABM input text.
+ *
+ * @example
+ * const text = serializeAbmScenario(parseAbmInput(txa.value).scenario);
+ */
+function serializeAbmScenario(scenario) {
+  const sections = [];
+
+  const header = [];
+  if(scenario.header.title !== "") {
+    header.push("# " + scenario.header.title);
+  }
+  for(const [key, val] of Object.entries(scenario.header.meta)) {
+    header.push("# " + key + ": " + val);
+  }
+  sections.push(header);
+
+  if(scenario.format !== null) {
+    sections.push(["# Input format", "FORMAT " + scenario.format]);
+  }
+
+  if(scenario.world !== null) {
+    sections.push([
+      "# World dimensions",
+      "WORLD " + scenario.world.cols + " " + scenario.world.rows,
+    ]);
+  }
+
+  if(scenario.tend !== null) {
+    sections.push(["# Simulation time", "TEND " + scenario.tend]);
+  }
+
+  if(scenario.fraction !== null) {
+    sections.push([
+      "# Granular mixture",
+      "FRACTION " + scenario.fraction.map(formatAbmNumber).join(" "),
+    ]);
+  }
+
+  if(scenario.seed !== null) {
+    sections.push(["# Random seed", "SEED " + scenario.seed]);
+  }
+
+  if(scenario.update !== null) {
+    sections.push(["# Update scheme", "UPDATE " + scenario.update]);
+  }
+
+  if(scenario.boundary !== null) {
+    const { x, y } = scenario.boundary;
+    const boundary = ["# Boundary conditions"];
+    if(x !== null && x === y) {
+      boundary.push("BOUNDARY XY " + x);
+    } else {
+      if(x !== null) {
+        boundary.push("BOUNDARY X " + x);
+      }
+      if(y !== null) {
+        boundary.push("BOUNDARY Y " + y);
+      }
+    }
+    sections.push(boundary);
+  }
+
+  if(scenario.walls.length > 0) {
+    const walls = scenario.walls.map(w =>
+      formatAbmSchedule(w) + "WALL " + [w.x1, w.y1, w.x2, w.y2, w.type].join(" ")
+    );
+    sections.push(["# Walls"].concat(walls));
+  }
+
+  if(scenario.sources.length > 0) {
+    const sources = scenario.sources.map(s =>
+      formatAbmSchedule(s) + "SOURCE " + [s.x1, s.y1, s.x2, s.y2, s.type].join(" ")
+      + " " + formatAbmNumber(s.rate)
+    );
+    sections.push(["# Sources"].concat(sources));
+  }
+
+  if(scenario.sinks.length > 0) {
+    const sinks = scenario.sinks.map(s =>
+      formatAbmSchedule(s) + "SINK " + [s.x1, s.y1, s.x2, s.y2].concat(s.types).join(" ")
+    );
+    sections.push(["# Sinks"].concat(sinks));
+  }
+
+  if(scenario.filters.length > 0) {
+    const filters = scenario.filters.map(f =>
+      "FILTER " + [f.x1, f.y1, f.x2, f.y2, f.mode].concat(f.types).join(" ")
+    );
+    sections.push(["# Filters"].concat(filters));
+  }
+
+  if(scenario.rules.length > 0) {
+    const rules = scenario.rules.map(r =>
+      "RULE " + [r.a, r.b, r.action].concat(r.action === "REACT" ? [r.c, r.d] : []).join(" ")
+      + " " + formatAbmNumber(r.p)
+      + r.effects.map(e => " " + e.op + " " + e.name + " " + formatAbmNumber(e.va)
+        + " " + formatAbmNumber(e.vb)).join("")
+    );
+    sections.push(["# Interaction rules"].concat(rules));
+  }
+
+  if(scenario.shapes.length > 0) {
+    const shapes = scenario.shapes.map(s =>
+      "SHAPE " + [s.type].concat(s.cells.slice(1).flat()).join(" ")
+    );
+    sections.push(["# Agent shapes"].concat(shapes));
+  }
+
+  if(scenario.attrs.length > 0) {
+    const attrs = scenario.attrs.map(q =>
+      "ATTR " + q.type + " " + q.name + " " + formatAbmNumber(q.value)
+    );
+    sections.push(["# Agent attributes"].concat(attrs));
+  }
+
+  if(scenario.palette !== null || scenario.colors.length > 0) {
+    const colors = scenario.colors.map(c =>
+      ["COLOR " + c.type, c.color].concat(c.label !== "" ? [c.label] : []).join(" ")
+    );
+    sections.push(["# Colors"]
+      .concat(scenario.palette !== null ? ["PALETTE " + scenario.palette] : [], colors));
+  }
+
+  if(scenario.mpmat.length > 0) {
+    const mpmat = ["# Movement probability matrix"];
+    for(const p of scenario.mpmat) {
+      if(mpmat.length > 1) {
+        mpmat.push("");
+      }
+      const conditions = p.conditions.map(formatAbmCondition);
+      mpmat.push(formatAbmSchedule(p) + ["MPMAT " + p.type]
+        .concat(conditions.length > 0 ? ["IF"] : [], conditions).join(" "));
+      for(const row of p.matrix) {
+        mpmat.push(row.map(formatAbmNumber).join(" "));
+      }
+    }
+    sections.push(mpmat);
+  }
+
+  if(scenario.weights.length > 0) {
+    const weights = scenario.weights.map(w =>
+      "WEIGHT " + w.type + " " + w.cell + " " + formatAbmNumber(w.w)
+    );
+    sections.push(["# Neighbor weights"].concat(weights));
+  }
+
+  if(scenario.agents.length > 0) {
+    const agents = scenario.agents.map(a =>
+      "AGENT " + a.x + " " + a.y + " " + a.type + Object.entries(a.attrs || {})
+        .map(([name, value]) => " " + name + " " + formatAbmNumber(value)).join("")
+    );
+    sections.push(["# Agents"].concat(agents));
+  }
+
+  return sections.map(s => s.join("\n")).join("\n\n");
+}
+
+
+/**
+ * Replaces the content of a textarea element with the ABM input of a scenario.
+ *
+ * @param {HTMLTextAreaElement} el - Textarea receiving the text.
+ * @param {Object} scenario - Scenario to write.
+ */
+function writeScenarioToTextarea(el, scenario) {
+  el.value = serializeAbmScenario(scenario);
+}
+
+
+/**
+ * Creates a scenario object from the in-memory state used by `simulate`, `simulate2` and `simulate_v0_2`.
+ *
+ * Agent cells are taken from `agents`, while every other non-zero cell of `world` is a wall. Walls are stored as horizontal WALL segments, one per run of cells with the same value in a row. Agent objects keep the attribute values that differ from the ATTR values of their type.
+ *
+ * Every other directive can be given as an option with the name of its scenario field, or is taken from `options.scenario`, e.g. the scenario of a `Simulation`, so that the saved state runs on under the same directives as the original. From that scenario the scheduled walls are kept as they are, instead of being written as fixed walls, and so are its conditional and scheduled matrices and the plain ones of the types missing in `mpm`. With `options.t`, the time of the state, schedules and TEND are moved back by t, since the saved run starts at time 0, and schedules that have already ended are left out.
+ *
+ * @param {number[][]|Grid} world - World matrix indexed as world[y][x], or the `Grid` of a `Simulation`.
+ * @param {Array<[number, number, number]|Object>} agents - Agents as [x, y, type], or the agent objects of a `Simulation`.
+ * @param {Object<number, number[][]>} mpm - Movement probability matrix for each agent type, replacing the plain MPMAT of the type in `options.scenario`.
+ * @param {Object} [options] - Optional `scenario` and `t`, and `header`, `tend`, `fraction`, `seed`, `update`, `boundary`, `sources`, `sinks`, `filters`, `rules`, `weights`, `shapes`, `attrs`, `colors` and `palette` of the scenario, where the cells covered by agents with a shape are not taken as walls.
+ * @returns {Object} Scenario that can be passed to `serializeAbmScenario`.
+ *
+ * @example
+ * // Save current state of simulate_v0_2 into the input textarea
+ * const scenario = createScenarioFromWorld(world, agents, mpm, { tend: tend });
+ * writeScenarioToTextarea(txaInput, scenario);
+ *
+ * // Save a paused Simulation, to be continued from the textarea later
+ * writeScenarioToTextarea(txaInput, createScenarioFromWorld(sim.world, sim.agents, {},
+ *   { scenario: sim.scenario, t: sim.t }));
+ */
+function createScenarioFromWorld(world, agents, mpm, options = {}) {
+  const base = options.scenario || createAbmScenario();
+  const scenario = createAbmScenario();
+  scenario.format = ABM_FORMAT_CURRENT;
+  for(const key of [
+    "tend", "fraction", "seed", "update", "boundary", "sources", "sinks", "filters",
+    "rules", "weights", "shapes", "attrs", "colors", "palette",
+  ]) {
+    scenario[key] = structuredClone(options[key] !== undefined ? options[key] : base[key]);
+  }
+  const header = options.header || base.header;
+  scenario.header = {
+    title: header.title || "",
+    meta: Object.assign({}, header.meta),
+  };
+
+  // The saved state becomes time 0 of the new run
+  const t = options.t || 0;
+  const shift = list => list.filter(item => item.schedule === undefined
+    || item.schedule.to === null || item.schedule.to > t).map(item => {
+    if(item.schedule !== undefined) {
+      item.schedule = {
+        from: Math.max(item.schedule.from - t, 0),
+        to: item.schedule.to === null ? null : item.schedule.to - t,
+      };
+    }
+    return item;
+  });
+  if(scenario.tend !== null) {
+    scenario.tend = Math.max(scenario.tend - t, 0);
+  }
+  scenario.sources = shift(scenario.sources);
+  scenario.sinks = shift(scenario.sinks);
+
+  const initial = {};
+  for(const q of scenario.attrs) {
+    (initial[q.type] = initial[q.type] || {})[q.name] = q.value;
+  }
+  const own = a => {
+    const attrs = {};
+    for(const [name, value] of Object.entries(a.attrs || {})) {
+      if(initial[a.type] === undefined || initial[a.type][name] !== value) {
+        attrs[name] = value;
+      }
+    }
+    return Object.keys(attrs).length > 0 ? attrs : undefined;
+  };
+  agents = agents.map(a => Array.isArray(a) ? a : [a.x, a.y, a.type, own(a)]);
+
+  if(typeof world.toArray === "function") {
+    world = world.toArray();
+  }
+  const rows = world.length;
+  const cols = world[0].length;
+  scenario.world = { cols: cols, rows: rows };
+
+  // Cells of scheduled walls are not fixed walls, unless a fixed wall covers them too
+  const inWorld = ([x, y]) => x >= 0 && x < cols && y >= 0 && y < rows;
+  const scheduled = new Map();
+  for(const w of base.walls.filter(q => q.schedule !== undefined)) {
+    for(const [x, y] of getLineCells([w.x1, w.y1], [w.x2, w.y2]).filter(inWorld)) {
+      scheduled.set(y * cols + x, w.type);
+    }
+  }
+  for(const w of base.walls.filter(q => q.schedule === undefined)) {
+    for(const [x, y] of getLineCells([w.x1, w.y1], [w.x2, w.y2]).filter(inWorld)) {
+      scheduled.delete(y * cols + x);
+    }
+  }
+
+  const occupied = new Set();
+  for(const a of agents) {
+    const shape = scenario.shapes.find(s => s.type === a[2]);
+    for(const [dx, dy] of shape ? shape.cells : [[0, 0]]) {
+      const x = (a[0] + dx + cols) % cols;
+      const y = (a[1] + dy + rows) % rows;
+      occupied.add(y * cols + x);
+    }
+  }
+  const fixed = (x, y) => world[y][x] !== 0 && !occupied.has(y * cols + x)
+    && scheduled.get(y * cols + x) !== world[y][x];
+  for(let y = 0; y < rows; y++) {
+    let x = 0;
+    while(x < cols) {
+      const w = world[y][x];
+      if(!fixed(x, y)) {
+        x++;
+        continue;
+      }
+      let x2 = x;
+      while(x2 + 1 < cols && world[y][x2 + 1] === w && fixed(x2 + 1, y)) {
+        x2++;
+      }
+      scenario.walls.push({ x1: x, y1: y, x2: x2, y2: y, type: w });
+      x = x2 + 1;
+    }
+  }
+  scenario.walls.push(...shift(structuredClone(base.walls.filter(w => w.schedule !== undefined))));
+
+  scenario.mpmat = shift(structuredClone(base.mpmat).filter(p => p.conditions.length > 0
+    || p.schedule !== undefined || mpm[p.type] === undefined));
+  for(const type of Object.keys(mpm)) {
+    scenario.mpmat.push({
+      type: Number(type),
+      conditions: [],
+      matrix: mpm[type].map(row => row.slice()),
+    });
+  }
+
+  scenario.agents = agents.map(a => a[3] !== undefined
+    ? { x: a[0], y: a[1], type: a[2], attrs: a[3] }
+    : { x: a[0], y: a[1], type: a[2] });
+
+  return scenario;
+}
+
+/**
+ * Compares two format versions such as "1.3" and "1.10" part by part.
+ *
+ * @param {string} a - First version.
+ * @param {string} b - Second version.
+ * @returns {number} Negative if a is older than b, zero if equal, positive otherwise.
+ */
+function compareAbmVersions(a, b) {
+  const [a1, a2] = a.split(".").map(Number);
+  const [b1, b2] = b.split(".").map(Number);
+  return a1 !== b1 ? a1 - b1 : a2 - b2;
+}
+
+
+/**
+ * Returns the keywords that can be used in a given format version.
+ *
+ * @param {string} version - Format version, e.g. "1.3".
+ * @returns {Set<string>|null} Supported keywords, or null for an unknown version.
+ *
+ * @example
+ * getAbmKeywords("1.1").has("TEND");  // false
+ * getAbmKeywords("1.3").has("TEND");  // true
+ */
+function getAbmKeywords(version) {
+  if(!ABM_FORMAT_VERSIONS.some(v => v.version === version)) {
+    return null;
+  }
+  const keywords = new Set();
+  for(const v of ABM_FORMAT_VERSIONS) {
+    if(compareAbmVersions(v.version, version) <= 0) {
+      v.keywords.forEach(k => keywords.add(k));
+    }
+  }
+  return keywords;
+}
+
+
+/**
+ * Finds the oldest format version that supports every section used in a scenario.
+ *
+ * @param {Object} scenario - Scenario without a declared version.
+ * @returns {string} Format version.
+ */
+function inferAbmVersion(scenario) {
+  if(scenario.agents.some(a => a.attrs !== undefined)) {
+    return ABM_AGENT_ATTR_VERSION;
+  }
+  if(scenario.palette !== null || scenario.colors.length > 0) {
+    return "1.16";
+  }
+  if([scenario.walls, scenario.mpmat, scenario.sources, scenario.sinks]
+    .some(list => list.some(item => item.schedule !== undefined))) {
+    return "1.15";
+  }
+  if(scenario.attrs.length > 0 || scenario.rules.some(r => r.effects.length > 0)
+    || scenario.mpmat.some(p => p.conditions.some(c => c.attr !== undefined))) {
+    return "1.14";
+  }
+  if(scenario.shapes.length > 0) {
+    return "1.13";
+  }
+  if(scenario.mpmat.some(p => p.matrix.length > ABM_MPMAT_SIZE)) {
+    return ABM_LARGE_MPMAT_VERSION;
+  }
+  if(scenario.weights.length > 0 || scenario.mpmat.some(p => p.conditions.length > 0)) {
+    return "1.11";
+  }
+  if(scenario.rules.length > 0) {
+    return "1.10";
+  }
+  if(scenario.filters.length > 0) {
+    return "1.9";
+  }
+  if(scenario.sources.length > 0 || scenario.sinks.length > 0) {
+    return "1.8";
+  }
+  if(scenario.boundary !== null) {
+    return "1.7";
+  }
+  if(scenario.update !== null) {
+    return "1.6";
+  }
+  if(scenario.seed !== null) {
+    return "1.5";
+  }
+  if(scenario.tend !== null || scenario.fraction !== null) {
+    return "1.3";
+  }
+  if(scenario.mpmat.length > 0 || scenario.agents.length > 0) {
+    return "1.1";
+  }
+  return "1.0";
+}
+
+
+/**
+ * Upgrades a scenario to the current format version.
+ *
+ * The starting version is taken from the FORMAT directive, then from a legacy "# Format Version: x" header comment as written by `addHeader` and `addHeader_v0_2`, and otherwise inferred from the sections in use. Each version step may change the scenario, e.g. a 1.1 input without TEND gets a default end time, and every change is listed in the report.
+ *
+ * @param {Object} scenario - Scenario as returned by `parseAbmInput`; it is not modified.
+ * @returns {{scenario: Object, from: string, to: string, report: string[]}} Migrated copy, versions and list of changes.
+ */
+function migrateAbmScenario(scenario) {
+  const migrated = structuredClone(scenario);
+  const legacy = migrated.header.meta["Format Version"];
+
+  let from = migrated.format;
+  if(from === null && legacy !== undefined && getAbmKeywords(legacy) !== null) {
+    from = legacy;
+  }
+  if(from === null) {
+    from = inferAbmVersion(migrated);
+  }
+
+  const report = [];
+  for(const v of ABM_FORMAT_VERSIONS) {
+    if(compareAbmVersions(v.version, from) <= 0) {
+      continue;
+    }
+    const changes = [];
+    if(v.migrate) {
+      v.migrate(migrated, changes);
+    }
+    report.push(v.version + ": "
+      + (changes.length > 0 ? changes.join(", ") : "no changes"));
+  }
+
+  migrated.format = ABM_FORMAT_CURRENT;
+
+  return { scenario: migrated, from: from, to: ABM_FORMAT_CURRENT, report: report };
+}
+
+
+/**
+ * Upgrades ABM input text to the current format version.
+ *
+ * @param {string} text - ABM input text of any known version.
+ * @returns {{text: string, errors: Object[], from: string, to: string, report: string[]}} Migrated text, parse errors and migration report. The text is left unchanged when there are errors.
+ *
+ * @example
+ * const result = migrateAbmInput(txaInput.value);
+ * if(result.errors.length === 0) {
+ *   txaInput.value = result.text;
+ *   txaOutput.value = result.report.join("\n");
+ * }
+ */
+function migrateAbmInput(text) {
+  const { scenario, errors } = parseAbmInput(text);
+  if(errors.length > 0) {
+    return { text: text, errors: errors, from: null, to: null, report: [] };
+  }
+  const result = migrateAbmScenario(scenario);
+  return {
+    text: serializeAbmScenario(result.scenario),
+    errors: errors,
+    from: result.from,
+    to: result.to,
+    report: result.report,
+  };
+}
+
+
+/**
+ * Appends the FORMAT directive of the current format version to a textarea element.
+ *
+ * It replaces the "# Format Version: x" comment of `addHeader` and `addHeader_v0_2` with a directive that the parser checks.
+ *
+ * @param {HTMLElement} el - The textarea DOM element to which the directive is appended.
+ */
+function addFormat(el) {
+  addTextToTextarea(el, "# Input format");
+  addTextToTextarea(el, "FORMAT " + ABM_FORMAT_CURRENT);
+}
+
+
+/**
+ * Adds sources feeding the grains container of `addContainerWall_v0_2` and a sink on the floor of `addEnclosedWall_v0_2` to a textarea element.
+ *
+ * Each source injects on average 0.5 agents of its type per step into the top row of the container, i.e. one agent with probability 0.5, and the sink removes and counts agents of every type reaching the floor. Together they replace the fixed initial load of `addAgents_v0_2` by continuous feeding.
+ *
+ * @param {HTMLElement} el - The textarea DOM element to which the directives are appended.
+ */
+function addSourceAndSink(el) {
+  addTextToTextarea(el, "# Sources");
+  addTextToTextarea(el, "SOURCE 31 11 50 11 48 0.5");
+  addTextToTextarea(el, "SOURCE 31 11 50 11 41 0.5");
+  addTextToTextarea(el, "");
+  addTextToTextarea(el, "# Sinks");
+  addTextToTextarea(el, "SINK 1 78 78 78");
+}
+
+
+/**
+ * Adds the filters of `addFilters` to a textarea element as FILTER directives instead of global arrays.
+ *
+ * Each post still gets its two WALL segments, and the gap between them becomes a filter capturing agents of the post type and letting the others pass, which is what `simulate2` does for every agent stepping onto the post column.
+ *
+ * @param {HTMLElement} el - The textarea DOM element to which the directives are appended.
+ */
+function addFilterDirectives(el) {
+  const posts = [25, 35, 45, 55, 65, 75];
+  const types = [47, 48, 49, 43, 41, 40];
+
+  addTextToTextarea(el, "# Filter posts");
+  for(let f = 0; f < posts.length; f++) {
+    addTextToTextarea(el, "WALL " + posts[f] + " 17 " + posts[f] + " 10 " + types[f]);
+    addTextToTextarea(el, "WALL " + posts[f] + " 34 " + posts[f] + " 40 " + types[f]);
+  }
+  addTextToTextarea(el, "");
+  addTextToTextarea(el, "# Filters");
+  for(let f = 0; f < posts.length; f++) {
+    addTextToTextarea(el, "FILTER " + posts[f] + " 18 " + posts[f] + " 33 CAPTURE " + types[f]);
+  }
+}
+
+// marker: 26j20.js
+(() => {
+  console.log("[marker] 26j20.js loaded");
+})();
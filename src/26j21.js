@@ -0,0 +1,1197 @@
+/**
+ * 26j21.js
+ * Functions used in butiran/26j21 note
+ *
+ * Author: Sparisoma Viridi (https://github.com/dudung)
+ * Created: 2026-10-19
+ * Modified: 2026-10-19 (scheduled directives)
+ *
+ * Exported:
+ * - Simulation
+ * - bindSimulationToPage(sim, can, div)
+ * - saveSnapshot(key, snap)
+ * - loadSnapshot(key)
+ *
+ * Requires:
+ * - drawMatrixOnCanvas, getColor (25e41.js)
+ * - drawWall, getLineCells (25f45.js)
+ * - drawAgent (25f49.js)
+ * - generateDirection (25f53.js)
+ * - createRandom, randomSeed (26j22.js)
+ * - Grid (26j25.js)
+ * - ABM_COMPASS, ABM_COMPARISONS (26j20.js), for conditional MPMAT
+ * - createScenarioColor (26j28.js), optional for bindSimulationToPage, which uses getColor without it
+ */
+
+
+const ABM_SNAPSHOT_PREFIX = "abm-snapshot:";
+
+
+/**
+ * Agent-based simulation of a scenario read by `parseAbmInput`.
+ *
+ * A simulation owns its world matrix, agents, movement probability matrices and clock, so that several simulations can live on one page and no global variables or element ids are needed. Instead of drawing on a canvas it emits events, which are
+ *   - "reset" with { t },
+ *   - "step" with { t, moved, interactions, absorbed, captured, removed, injected },
+ *   - "end" with { t }, when TEND is reached.
+ *
+ * The world is a `Grid`, read as world.get(x, y), whose cells hold the agent types as color codes for `getColor` or the palette of the scenario. Agents are objects { id, type, x, y, age, attrs }, where the id stays with an agent for the whole run, so that it can be followed from step to step with `agentById(id)`, age counts its steps and attrs holds the values of the ATTR directives of its type, e.g. { energy: 10 }, or those given on its AGENT line.
+ *
+ * Random numbers come from `options.rng` if given, otherwise from `createRandom` seeded by `options.seed` or by the SEED directive, and when neither is there by a seed drawn with `randomSeed()`, which is kept in `seed`, so that every run can be repeated and snapshotted. A seeded simulation gives the same run after every `reset()`, while an unseeded one draws a new seed.
+ *
+ * Agents are updated with one of these schemes, chosen by `options.update` or by the UPDATE directive:
+ *   - "SEQUENTIAL", agents move one after another in a fixed order (default, as in `simulate_v0_2`),
+ *   - "RANDOM", as sequential but in a new random order every step, which avoids the drift towards one side that a fixed order causes,
+ *   - "SYNCHRONOUS", all agents choose a target in the same world and then move together, where one randomly picked agent wins a cell targeted by several of them.
+ *
+ * An agent stepping over an edge of the world is handled per axis by the BOUNDARY directive with
+ *   - "PERIODIC", it enters again from the opposite edge,
+ *   - "REFLECTING", it is mirrored back at the edge, e.g. x = -1 becomes x = 1,
+ *   - "ABSORBING", it leaves the world and is counted in `absorbed` for its type.
+ * Without a mode for an axis the agent stays where it is, as when drawn walls enclose the world.
+ *
+ * After the agents have moved, every SINK removes the agents of its types standing in its region, counting them per type in `sinks[i].removed`, and then every SOURCE puts new agents on empty cells of its region, counting them in `sources[i].injected`. A source with rate 2.3 injects 2 agents per step and a third one with probability 0.3.
+ *
+ * A FILTER is a segment of cells kept in the separate `filterMask`, so that it does not occupy the world. An agent stepping onto it from outside is let through, blocked or captured, i.e. removed, depending on its type. With mode "PASS" only the listed types pass, while with "BLOCK" and "CAPTURE" only the listed types are blocked or captured, and an empty list means every type. Where filters overlap the later one applies. Every filter counts its events per type in `filters[i].passed`, `blocked` and `captured`.
+ *
+ * When an agent of type a draws a move onto an agent of type b, the RULE directives for the pair (a, b) are tried with their probabilities, and with
+ *   - "SWAP", the two agents exchange their cells,
+ *   - "PUSH", b is pushed one cell further in the same direction if that cell is empty, and a takes its place,
+ *   - "STICK", both agents stop moving for the rest of the run and can no longer be swapped or pushed, which makes aggregates grow,
+ *   - "REACT", a and b turn into types c and d.
+ * Without a matching rule, or when none of them is drawn, the agent stays. An applied rule then changes the attributes of both agents with its ADD and SET parts, e.g. "RULE 41 48 STICK 1 ADD energy -1 1" moves one unit of energy from a to b. Every rule counts how often it was applied in `rules[i].count`, and `agentAt(x, y)` finds the agent on a cell.
+ *
+ * The movement probability matrix of an agent may depend on its neighborhood. A conditional MPMAT such as "MPMAT 48 IF S WALL" or "MPMAT 48 IF energy < 5" is used when all its conditions hold, where N is the row above the agent and a cell beyond a closed or absorbing edge counts as WALL. The first matching conditional matrix of a type is taken, otherwise the plain one. A WEIGHT directive then adds its weight times the number of neighbors of a kind to the probability of staying, e.g. "WEIGHT 48 SAME 0.2" makes agents with many neighbors of their own type less mobile, and the matrix is scaled to sum to 1 again.
+ *
+ * A 5×5 or larger MPMAT lets agents jump over several cells. Such a jump only happens when every cell between the start and the target on the straight line of `getLineCells` is empty, so that agents cannot pass through walls or other agents.
+ *
+ * A SHAPE directive gives the agents of a type a footprint of several cells, e.g. "SHAPE 44 1 0" for a horizontal dimer, which moves as a rigid body. The agent position is the cell with offset [0, 0], and a move is only accepted when every cell of the moved footprint is empty or already part of the agent, and, for a jump, every cell on the way of each footprint cell. Footprints wrap around periodic edges, while a footprint reaching over another edge keeps the agent in place, unless its position itself leaves through an absorbing edge. Matrices, conditions, filters, sinks and sources use the agent position, and multi-cell agents do not take part in RULE interactions. `bodies()` returns the footprints for drawing their outlines.
+ *
+ * A WALL, MPMAT, SOURCE or SINK written after "AT t" is active from time t on, and one written after "FROM t1 TO t2" from t1 until before t2, where the state at time t governs the step from t to t + 1. A scheduled wall is drawn when it becomes active, except on cells taken by an agent at that moment, which stay open, and is removed again when it ends, e.g. to open a gate. Active scheduled matrices take precedence over unscheduled ones of the same type, so that "FROM 100 TO 200 MPMAT 48" can shake the container for a while. Scheduled sources and sinks simply do nothing while they are inactive.
+ *
+ * `snapshot()` captures the whole state, including the random number generator, and `restore(snap)` or `Simulation.fromSnapshot(snap)` continue from it, so that a run can be paused, saved with `saveSnapshot` and branched.
+ *
+ * @example
+ * const { scenario } = parseAbmInput(txaInput.value);
+ * const sim = new Simulation(scenario);
+ * sim.on("step", e => console.log(e.t, e.moved));
+ * sim.run(100);
+ */
+class Simulation {
+  /**
+   * Creates a simulation and puts it in its initial state, which fails with an error when an agent lies outside the world or on a cell already taken by a wall or another agent, as reported by `validateScenario`.
+   *
+   * @param {Object} scenario - Scenario with at least a `world`.
+   * @param {Object} [options] - Optional `seed` overriding SEED, `rng` function replacing `createRandom`, or `update` scheme overriding UPDATE.
+   */
+  constructor(scenario, options = {}) {
+    if(!scenario || !scenario.world) {
+      throw new Error("scenario must define WORLD");
+    }
+    this.scenario = scenario;
+    this.options = options;
+    this.listeners = {};
+    this.reset();
+  }
+
+  /**
+   * Registers a listener for an event.
+   *
+   * @param {string} type - Event name, i.e. "reset", "step" or "end".
+   * @param {function(Object): void} listener - Function called with the event detail.
+   * @returns {Simulation} This simulation, for chaining.
+   */
+  on(type, listener) {
+    if(!this.listeners[type]) {
+      this.listeners[type] = [];
+    }
+    this.listeners[type].push(listener);
+    return this;
+  }
+
+  /**
+   * Removes a listener registered with `on`.
+   *
+   * @param {string} type - Event name.
+   * @param {function(Object): void} listener - The registered function.
+   * @returns {Simulation} This simulation, for chaining.
+   */
+  off(type, listener) {
+    const list = this.listeners[type] || [];
+    this.listeners[type] = list.filter(l => l !== listener);
+    return this;
+  }
+
+  /**
+   * Calls every listener of an event.
+   *
+   * @param {string} type - Event name.
+   * @param {Object} detail - Data passed to the listeners.
+   */
+  emit(type, detail) {
+    for(const l of this.listeners[type] || []) {
+      l(detail);
+    }
+  }
+
+  /**
+   * Puts the simulation back to its initial state and tells the listeners.
+   */
+  reset() {
+    this.build();
+    this.emit("reset", { t: this.t });
+  }
+
+  /**
+   * Builds the world, agents, movement probability matrices, clock and random number generator from the scenario, with the scheduled directives active at time 0.
+   */
+  build() {
+    const scenario = this.scenario;
+    const { cols, rows } = scenario.world;
+
+    const seed = this.options.seed !== undefined ? this.options.seed : scenario.seed;
+    if(this.options.rng) {
+      this.seed = seed !== undefined ? seed : null;
+      this.rng = this.options.rng;
+    } else {
+      this.seed = seed !== undefined && seed !== null ? seed : randomSeed();
+      this.rng = createRandom(this.seed);
+    }
+    this.update = this.options.update || scenario.update || "SEQUENTIAL";
+    this.boundary = Object.assign({ x: null, y: null }, scenario.boundary);
+
+    this.world = new Grid(rows, cols);
+    this.walls = scenario.walls.map(w => Object.assign({
+      on: w.schedule === undefined,
+      cells: getLineCells([w.x1, w.y1], [w.x2, w.y2])
+        .filter(([x, y]) => this.contains(x, y))
+        .map(([x, y]) => this.world.index(x, y)),
+    }, w));
+    for(const w of this.walls) {
+      if(w.on) {
+        drawWall(this.world, [w.x1, w.y1], [w.x2, w.y2], w.type);
+      }
+    }
+
+    this.mpmKey = null;
+    this.weights = {};
+    for(const w of scenario.weights) {
+      (this.weights[w.type] = this.weights[w.type] || []).push(w);
+    }
+    this.shapes = {};
+    for(const s of scenario.shapes) {
+      this.shapes[s.type] = s.cells;
+    }
+    this.attrs = {};
+    for(const q of scenario.attrs) {
+      (this.attrs[q.type] = this.attrs[q.type] || {})[q.name] = q.value;
+    }
+
+    this.agents = [];
+    this.cells = new Map();
+    this.nextId = 1;
+    for(const a of scenario.agents) {
+      if(!this.fits(a.type, a.x, a.y)) {
+        throw new Error("agent of type " + a.type + " at (" + a.x + ", " + a.y + ") "
+          + (this.shapes[a.type] !== undefined
+            ? "does not fit its SHAPE into empty cells of the world"
+            : "is not on an empty cell of the world"));
+      }
+      const agent = this.createAgent(a.x, a.y, a.type);
+      Object.assign(agent.attrs, a.attrs);
+      this.placeAgent(agent);
+    }
+
+    this.sources = scenario.sources.map(s => Object.assign({ injected: 0 }, s));
+    this.sinks = scenario.sinks.map(s => Object.assign({ removed: {} }, s));
+
+    this.filters = scenario.filters.map(f =>
+      Object.assign({ passed: {}, blocked: {}, captured: {} }, f));
+    this.filterMask = new Grid(rows, cols);
+    this.filters.forEach((f, i) => {
+      drawWall(this.filterMask, [f.x1, f.y1], [f.x2, f.y2], i + 1);
+    });
+
+    this.rules = scenario.rules.map(r => Object.assign({ count: 0 }, r));
+    this.stuck = new Set();
+
+    this.absorbed = {};
+    this.leaving = new Map();
+    this.tend = scenario.tend;
+    this.t = 0;
+    this.applySchedule();
+  }
+
+  /**
+   * Captures the whole state of the simulation as a plain object, which survives `JSON.stringify` and can be passed to `restore` or `Simulation.fromSnapshot` to continue the run later or to branch several variants from it.
+   *
+   * The state of the random number generator is included when it has `getState`, as the one of `createRandom` has, so that a restored run goes on exactly as the original would, also when its seed was drawn. Only a run on an `options.rng` without `getState` is restored with a fresh stream of that generator.
+   *
+   * @returns {Object} Snapshot with the scenario, time, seed, update scheme, random number state, world cells, agents, next agent id, stuck agent ids and the counters of sources, sinks, filters, rules and absorbing edges.
+   *
+   * @example
+   * const snap = sim.snapshot();
+   * sim.run(100);
+   * const branch = Simulation.fromSnapshot(snap, { update: "RANDOM" });
+   */
+  snapshot() {
+    return structuredClone({
+      scenario: this.scenario,
+      t: this.t,
+      seed: this.seed,
+      update: this.update,
+      rng: typeof this.rng.getState === "function" ? this.rng.getState() : null,
+      world: Array.from(this.world.data),
+      agents: this.agents,
+      nextId: this.nextId,
+      stuck: [...this.stuck].map(a => a.id),
+      sources: this.sources.map(s => s.injected),
+      sinks: this.sinks.map(s => s.removed),
+      filters: this.filters.map(f => ({
+        passed: f.passed, blocked: f.blocked, captured: f.captured,
+      })),
+      rules: this.rules.map(r => r.count),
+      absorbed: this.absorbed,
+    });
+  }
+
+  /**
+   * Replaces the state of the simulation by a snapshot, keeping the listeners, which get a "reset" event with the restored time.
+   *
+   * @param {Object} snap - Result of `snapshot`, possibly read back from JSON.
+   */
+  restore(snap) {
+    snap = structuredClone(snap);
+    this.scenario = snap.scenario;
+    this.options = Object.assign({}, this.options, {
+      seed: snap.seed !== null ? snap.seed : undefined,
+      update: snap.update,
+    });
+    this.build();
+    if(snap.rng !== null && typeof this.rng.setState === "function") {
+      this.rng.setState(snap.rng);
+    }
+
+    this.world.data.set(snap.world);
+    this.agents = snap.agents;
+    this.cells = new Map();
+    for(const a of this.agents) {
+      for(const [x, y] of this.footprint(a)) {
+        this.cells.set(this.world.index(x, y), a);
+      }
+    }
+    this.nextId = snap.nextId;
+    this.stuck = new Set(this.agents.filter(a => snap.stuck.includes(a.id)));
+
+    this.sources.forEach((s, i) => {
+      s.injected = snap.sources[i];
+    });
+    this.sinks.forEach((s, i) => {
+      s.removed = snap.sinks[i];
+    });
+    this.filters.forEach((f, i) => {
+      Object.assign(f, snap.filters[i]);
+    });
+    this.rules.forEach((r, i) => {
+      r.count = snap.rules[i];
+    });
+    this.absorbed = snap.absorbed;
+    this.t = snap.t;
+    for(const w of this.walls) {
+      w.on = this.isActive(w);
+    }
+    this.applySchedule();
+
+    this.emit("reset", { t: this.t });
+  }
+
+  /**
+   * Creates a new simulation from a snapshot, e.g. to branch a variant off a saved state.
+   *
+   * @param {Object} snap - Result of `snapshot`.
+   * @param {Object} [options] - Options of the constructor; `seed` and `update` are taken from the snapshot unless given here.
+   * @returns {Simulation} The simulation, at the time of the snapshot.
+   */
+  static fromSnapshot(snap, options = {}) {
+    const sim = new Simulation(snap.scenario, options);
+    sim.restore(Object.assign({}, snap, {
+      seed: options.seed !== undefined ? options.seed : snap.seed,
+      update: options.update || snap.update,
+      rng: options.seed !== undefined ? null : snap.rng,
+    }));
+    return sim;
+  }
+
+  /**
+   * Tells whether the simulation has reached TEND.
+   *
+   * @returns {boolean} True when TEND is defined and reached.
+   */
+  isFinished() {
+    return this.tend !== null && this.t >= this.tend;
+  }
+
+  /**
+   * Tells whether a cell lies inside the world.
+   *
+   * @param {number} x - Column.
+   * @param {number} y - Row.
+   * @returns {boolean} True for a cell of the world grid.
+   */
+  contains(x, y) {
+    return this.world.contains(x, y);
+  }
+
+  /**
+   * Applies the boundary mode of an axis to a coordinate that may lie outside the world.
+   *
+   * @param {number} v - Column or row.
+   * @param {number} n - Number of columns or rows.
+   * @param {string|null} mode - "PERIODIC", "REFLECTING", "ABSORBING" or null.
+   * @returns {number|null} Coordinate inside the world, the unchanged coordinate outside it for "ABSORBING", or null if the agent has to stay.
+   */
+  applyBoundary(v, n, mode) {
+    if(v >= 0 && v < n) {
+      return v;
+    }
+    switch(mode) {
+    case "PERIODIC":
+      return ((v % n) + n) % n;
+    case "REFLECTING": {
+      const r = v < 0 ? -v : 2 * (n - 1) - v;
+      return r >= 0 && r < n ? r : null;
+    }
+    case "ABSORBING":
+      return v;
+    default:
+      return null;
+    }
+  }
+
+  /**
+   * Returns the cells covered by an agent, which is only its own cell unless its type has a SHAPE.
+   *
+   * @param {Object} a - The agent.
+   * @param {number} [x=a.x] - Column of the agent position, e.g. a target cell.
+   * @param {number} [y=a.y] - Row of the agent position.
+   * @returns {Array<[number, number]>} Cells as [x, y], wrapped around periodic edges but possibly outside the world at other edges.
+   */
+  footprint(a, x = a.x, y = a.y) {
+    const shape = this.shapes[a.type];
+    if(shape === undefined) {
+      return [[x, y]];
+    }
+    const { cols, rows } = this.world;
+    const wrap = (v, n, mode) => mode === "PERIODIC" ? ((v % n) + n) % n : v;
+    return shape.map(([dx, dy]) => [
+      wrap(x + dx, cols, this.boundary.x), wrap(y + dy, rows, this.boundary.y),
+    ]);
+  }
+
+  /**
+   * Tells whether an agent of a type could be placed at a cell, i.e. whether the cell lies in the world and all cells of its footprint are empty cells of the world.
+   *
+   * @param {number} type - Agent type.
+   * @param {number} x - Column.
+   * @param {number} y - Row.
+   * @returns {boolean} True if the agent fits.
+   */
+  fits(type, x, y) {
+    return this.contains(x, y) && this.footprint({ x: x, y: y, type: type }).every(([cx, cy]) =>
+      this.contains(cx, cy) && this.world.get(cx, cy) === 0);
+  }
+
+  /**
+   * Creates a new agent with the next id and the initial attributes of its type, without putting it on the world.
+   *
+   * @param {number} x - Column.
+   * @param {number} y - Row.
+   * @param {number} type - Agent type.
+   * @returns {Object} Agent { id, type, x, y, age, attrs }.
+   */
+  createAgent(x, y, type) {
+    return {
+      id: this.nextId++, type: type, x: x, y: y, age: 0,
+      attrs: Object.assign({}, this.attrs[type]),
+    };
+  }
+
+  /**
+   * Puts an agent on the world, covering every cell of its footprint, and adds it to the agent list.
+   *
+   * @param {Object} a - The agent.
+   */
+  placeAgent(a) {
+    for(const [x, y] of this.footprint(a)) {
+      drawAgent(this.world, [x, y], a.type);
+      this.cells.set(this.world.index(x, y), a);
+    }
+    this.agents.push(a);
+  }
+
+  /**
+   * Takes every cell of an agent off the world, without touching the agent list.
+   *
+   * @param {Object} a - The agent.
+   */
+  liftAgent(a) {
+    for(const [x, y] of this.footprint(a)) {
+      this.world.set(x, y, 0);
+      this.cells.delete(this.world.index(x, y));
+    }
+  }
+
+  /**
+   * Returns the footprints of the multi-cell agents, e.g. for the `bodies` of `drawMatrixOnCanvas`.
+   *
+   * @returns {Array<Array<[number, number]>>} One list of cells per agent whose type has a SHAPE.
+   */
+  bodies() {
+    return this.agents.filter(a => this.shapes[a.type] !== undefined).map(a => this.footprint(a));
+  }
+
+  /**
+   * Finds an agent by its id, e.g. to follow its trajectory.
+   *
+   * @param {number} id - Agent id.
+   * @returns {Object|undefined} The agent, or undefined once it has left the world.
+   */
+  agentById(id) {
+    return this.agents.find(a => a.id === id);
+  }
+
+  /**
+   * Returns the agent standing on a cell.
+   *
+   * @param {number} x - Column.
+   * @param {number} y - Row.
+   * @returns {Object|undefined} The agent, or undefined for an empty or wall cell.
+   */
+  agentAt(x, y) {
+    return this.cells.get(this.world.index(x, y));
+  }
+
+  /**
+   * Tells what kind of cell lies next to an agent, seen through the boundary modes.
+   *
+   * @param {Object} a - The agent.
+   * @param {number} dx - Column offset.
+   * @param {number} dy - Row offset.
+   * @returns {string} "EMPTY", "AGENT", "SAME" for an agent of the same type, or "WALL".
+   */
+  neighborKind(a, dx, dy) {
+    const { x, y, type } = a;
+    const x2 = this.applyBoundary(x + dx, this.world.cols, this.boundary.x);
+    const y2 = this.applyBoundary(y + dy, this.world.rows, this.boundary.y);
+    if(x2 === null || y2 === null || !this.contains(x2, y2)) {
+      return "WALL";
+    }
+    if(this.world.get(x2, y2) === 0) {
+      return "EMPTY";
+    }
+    const b = this.agentAt(x2, y2);
+    if(b === undefined) {
+      return "WALL";
+    }
+    return b.type === type ? "SAME" : "AGENT";
+  }
+
+  /**
+   * Returns the movement probability matrix of an agent in its current neighborhood and state, from the conditional and plain MPMAT of its type and its WEIGHT directives.
+   *
+   * @param {Object} a - The agent.
+   * @returns {number[][]|undefined} The matrix, or undefined if the type has none.
+   */
+  matrixFor(a) {
+    const type = a.type;
+    const matches = (cell, kind) => kind === cell || (cell === "AGENT" && kind === "SAME");
+
+    const holds = c => c.dir !== undefined
+      ? matches(c.cell, this.neighborKind(a, ...ABM_COMPASS[c.dir]))
+      : ABM_COMPARISONS[c.op](a.attrs[c.attr], c.value);
+    const p = (this.conditionalMpm[type] || []).find(q => q.conditions.every(holds));
+    const m = p !== undefined ? p.matrix : this.mpm[type];
+    const weights = this.weights[type];
+    if(m === undefined || weights === undefined) {
+      return m;
+    }
+
+    const kinds = Object.values(ABM_COMPASS).map(([dx, dy]) => this.neighborKind(a, dx, dy));
+    let extra = 0;
+    for(const w of weights) {
+      extra += w.w * kinds.filter(kind => matches(w.cell, kind)).length;
+    }
+    if(extra === 0) {
+      return m;
+    }
+    const c = Math.floor(m.length / 2);
+    const total = m.flat().reduce((sum, v) => sum + v, 0) + extra;
+    return m.map((row, r) => row.map((v, k) => (r === c && k === c ? v + extra : v) / total));
+  }
+
+  /**
+   * Draws a direction for an agent from the movement probability matrix of its type and returns the target cell if the agent can go there.
+   *
+   * Agents without a matrix stay where they are, and so do stuck agents and agents whose target cell is blocked by a filter, occupied, beyond an edge without boundary mode or behind a wall or agent on the way of a jump. For a multi-cell agent this holds for every cell of its footprint. A target beyond an absorbing edge is returned as it is, outside the world, and a target occupied by an agent is returned when there is a RULE for the two types and both are single cells.
+   *
+   * A move blocked by a filter is not counted here but added to `blocked`, so that the update scheme counts it once the step is resolved.
+   *
+   * @param {Object} a - The agent.
+   * @param {Object[]} [blocked] - List receiving { a, filter, x, y } for a move that only a filter stops, with its target cell x, y.
+   * @returns {[number, number, number, number]|null} Target cell and direction as [x, y, dx, dy], or null if the agent stays.
+   */
+  proposeMove(a, blocked) {
+    const { x, y, type } = a;
+    const m = this.stuck.has(a) ? undefined : this.matrixFor(a);
+    if(m === undefined) {
+      return null;
+    }
+
+    const [dx, dy] = generateDirection(m, this.rng);
+    if((dx === 0 && dy === 0)
+      || !this.footprint(a).every(([fx, fy]) => this.isPathClear(fx, fy, dx, dy, a))) {
+      return null;
+    }
+
+    const x2 = this.applyBoundary(x + dx, this.world.cols, this.boundary.x);
+    const y2 = this.applyBoundary(y + dy, this.world.rows, this.boundary.y);
+    if(x2 === null || y2 === null) {
+      return null;
+    }
+    if(!this.contains(x2, y2)) {
+      return [x2, y2, dx, dy];
+    }
+
+    if(this.shapes[type] !== undefined) {
+      const free = this.footprint(a, x2, y2).every(([cx, cy]) => this.contains(cx, cy)
+        && (this.world.get(cx, cy) === 0 || this.agentAt(cx, cy) === a));
+      if(!free) {
+        return null;
+      }
+    } else if(this.world.get(x2, y2) !== 0) {
+      const b = this.agentAt(x2, y2);
+      if(b === undefined || this.shapes[b.type] !== undefined
+        || !this.rules.some(r => r.a === type && r.b === b.type)) {
+        return null;
+      }
+    }
+
+    const f = this.filterAt(x, y, dx, dy);
+    if(f !== null && this.filterAction(f, type) === "BLOCK") {
+      if(blocked !== undefined) {
+        blocked.push({ a: a, filter: f, x: x2, y: y2 });
+      }
+      return null;
+    }
+    return [x2, y2, dx, dy];
+  }
+
+  /**
+   * Counts moves stopped by a filter in the `blocked` field of the filter, per agent type.
+   *
+   * @param {Object[]} blocked - Moves collected by `proposeMove`.
+   */
+  countBlocked(blocked) {
+    for(const { a, filter } of blocked) {
+      filter.blocked[a.type] = (filter.blocked[a.type] || 0) + 1;
+    }
+  }
+
+  /**
+   * Tells whether the cells between a cell and the cell a jump away from it are all empty. Cells beyond an absorbing edge are not checked, since an agent leaves the world there.
+   *
+   * @param {number} x - Starting column.
+   * @param {number} y - Starting row.
+   * @param {number} dx - Jump in columns.
+   * @param {number} dy - Jump in rows.
+   * @param {Object} [self] - Jumping agent, whose own cells do not block it.
+   * @returns {boolean} True if nothing blocks the jump, which is always the case for a jump to a neighbor.
+   */
+  isPathClear(x, y, dx, dy, self) {
+    if(Math.abs(dx) <= 1 && Math.abs(dy) <= 1) {
+      return true;
+    }
+    const cells = getLineCells([0, 0], [dx, dy]).slice(1, -1);
+    return cells.every(([cx, cy]) => {
+      const x2 = this.applyBoundary(x + cx, this.world.cols, this.boundary.x);
+      const y2 = this.applyBoundary(y + cy, this.world.rows, this.boundary.y);
+      if(x2 === null || y2 === null) {
+        return false;
+      }
+      return !this.contains(x2, y2) || this.world.get(x2, y2) === 0
+        || (self !== undefined && this.agentAt(x2, y2) === self);
+    });
+  }
+
+  /**
+   * Applies a RULE between an agent and the agent on the cell it moves to, drawing one of the rules of the pair by their probabilities.
+   *
+   * @param {Object} a - The moving agent.
+   * @param {[number, number, number, number]} target - Result of `proposeMove`, pointing to another agent.
+   * @returns {boolean} True if a rule was applied.
+   */
+  interact(a, target) {
+    const [x2, y2, dx, dy] = target;
+    const b = this.agentAt(x2, y2);
+    if(b === undefined) {
+      return false;
+    }
+
+    let r = this.rng();
+    const rule = this.rules.find(q => {
+      if(q.a !== a.type || q.b !== b.type) {
+        return false;
+      }
+      r -= q.p;
+      return r < 0;
+    });
+    if(rule === undefined) {
+      return false;
+    }
+
+    // Stuck agents are immovable, also for the moves of other agents
+    if((rule.action === "SWAP" || rule.action === "PUSH") && this.stuck.has(b)) {
+      return false;
+    }
+    switch(rule.action) {
+    case "SWAP": {
+      const { x, y } = a;
+      this.world.set(x, y, b.type);
+      this.world.set(x2, y2, a.type);
+      [a.x, a.y, b.x, b.y] = [x2, y2, x, y];
+      this.cells.set(this.world.index(x, y), b);
+      this.cells.set(this.world.index(x2, y2), a);
+      break;
+    }
+    case "PUSH": {
+      const x3 = this.applyBoundary(x2 + dx, this.world.cols, this.boundary.x);
+      const y3 = this.applyBoundary(y2 + dy, this.world.rows, this.boundary.y);
+      if(x3 === null || y3 === null || !this.contains(x3, y3)
+        || this.world.get(x3, y3) !== 0 || !this.isPathClear(x2, y2, dx, dy)) {
+        return false;
+      }
+      const f = this.filterAt(x2, y2, dx, dy);
+      if(f !== null && this.filterAction(f, b.type) === "BLOCK") {
+        return false;
+      }
+      this.moveAgent(b, x3, y3, dx, dy);
+      this.moveAgent(a, x2, y2, dx, dy);
+      break;
+    }
+    case "STICK":
+      this.stuck.add(a);
+      this.stuck.add(b);
+      break;
+    case "REACT":
+      if(this.shapes[rule.c] !== undefined || this.shapes[rule.d] !== undefined) {
+        return false;
+      }
+      a.type = rule.c;
+      b.type = rule.d;
+      a.attrs = Object.assign({}, this.attrs[rule.c], a.attrs);
+      b.attrs = Object.assign({}, this.attrs[rule.d], b.attrs);
+      this.world.set(a.x, a.y, rule.c);
+      this.world.set(x2, y2, rule.d);
+      break;
+    }
+    for(const e of rule.effects) {
+      a.attrs[e.name] = e.op === "ADD" ? (a.attrs[e.name] || 0) + e.va : e.va;
+      b.attrs[e.name] = e.op === "ADD" ? (b.attrs[e.name] || 0) + e.vb : e.vb;
+    }
+    rule.count++;
+    return true;
+  }
+
+  /**
+   * Returns the first filter an agent enters when moving from a cell in a direction, which is none when it stays in the filter of its cell. Every cell on the way of a jump is checked, as in `isPathClear`, so that a jump cannot get over a filter. A diagonal step also enters a filter when it passes between two of its cells, i.e. when both cells next to the step belong to it, so that a diagonal FILTER line cannot be crossed through its corners.
+   *
+   * @param {number} x - Current column.
+   * @param {number} y - Current row.
+   * @param {number} dx - Step or jump in columns.
+   * @param {number} dy - Step or jump in rows.
+   * @returns {Object|null} The entered filter, or null.
+   */
+  filterAt(x, y, dx, dy) {
+    const here = this.filterMask.get(x, y);
+    const maskAt = (cx, cy) => {
+      const x2 = this.applyBoundary(x + cx, this.world.cols, this.boundary.x);
+      const y2 = this.applyBoundary(y + cy, this.world.rows, this.boundary.y);
+      return x2 === null || y2 === null || !this.contains(x2, y2) ? 0 : this.filterMask.get(x2, y2);
+    };
+
+    const path = getLineCells([0, 0], [dx, dy]);
+    for(let k = 1; k < path.length; k++) {
+      const [px, py] = path[k - 1];
+      const [qx, qy] = path[k];
+      if(px !== qx && py !== qy) {
+        const i = maskAt(qx, py);
+        if(i !== 0 && i !== here && i === maskAt(px, qy)) {
+          return this.filters[i - 1];
+        }
+      }
+      const i = maskAt(qx, qy);
+      if(i !== 0 && i !== here) {
+        return this.filters[i - 1];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Tells what a filter does with an agent type.
+   *
+   * @param {Object} f - Filter from the FILTER directive.
+   * @param {number} type - Agent type.
+   * @returns {string} "PASS", "BLOCK" or "CAPTURE".
+   */
+  filterAction(f, type) {
+    const listed = f.types.length === 0 || f.types.includes(type);
+    if(f.mode === "PASS") {
+      return listed ? "PASS" : "BLOCK";
+    }
+    return listed ? f.mode : "PASS";
+  }
+
+  /**
+   * Moves an agent to an empty cell and updates the world, together with the rest of its footprint. An agent entering a filter that captures its type is removed from the world right away, and the agent list is cleaned by `step` afterwards.
+   *
+   * @param {Object} a - The agent.
+   * @param {number} x2 - Target column.
+   * @param {number} y2 - Target row.
+   * @param {number} dx - Step in columns, which differs from x2 - x across a periodic edge.
+   * @param {number} dy - Step in rows.
+   */
+  moveAgent(a, x2, y2, dx, dy) {
+    const { x, y, type } = a;
+    const f = this.filterAt(x, y, dx, dy);
+    const value = this.world.get(x, y);
+    this.liftAgent(a);
+    a.x = x2;
+    a.y = y2;
+    for(const [cx, cy] of this.footprint(a)) {
+      this.world.set(cx, cy, value);
+      this.cells.set(this.world.index(cx, cy), a);
+    }
+
+    if(f === null) {
+      return;
+    }
+    if(this.filterAction(f, type) === "CAPTURE") {
+      this.liftAgent(a);
+      f.captured[type] = (f.captured[type] || 0) + 1;
+      this.leaving.set(a, "captured");
+    } else {
+      f.passed[type] = (f.passed[type] || 0) + 1;
+    }
+  }
+
+  /**
+   * Takes an agent out of the world through an absorbing edge and counts it. The agent list itself is cleaned by `step` afterwards.
+   *
+   * @param {Object} a - The agent.
+   */
+  absorbAgent(a) {
+    const type = a.type;
+    this.liftAgent(a);
+    this.absorbed[type] = (this.absorbed[type] || 0) + 1;
+    this.leaving.set(a, "absorbed");
+  }
+
+  /**
+   * Tells whether a cell lies in the rectangle of a SOURCE or SINK, both corners included.
+   *
+   * @param {{x1: number, y1: number, x2: number, y2: number}} r - The region.
+   * @param {number} x - Column.
+   * @param {number} y - Row.
+   * @returns {boolean} True for a cell of the region.
+   */
+  inRegion(r, x, y) {
+    return x >= Math.min(r.x1, r.x2) && x <= Math.max(r.x1, r.x2)
+      && y >= Math.min(r.y1, r.y2) && y <= Math.max(r.y1, r.y2);
+  }
+
+  /**
+   * Tells whether a wall, matrix, source or sink is active at the current time.
+   *
+   * @param {Object} item - Entry of the scenario or of the simulation, with an optional `schedule`.
+   * @returns {boolean} True if it has no schedule or the time lies in its schedule.
+   */
+  isActive(item) {
+    const s = item.schedule;
+    return s === undefined || (this.t >= s.from && (s.to === null || this.t < s.to));
+  }
+
+  /**
+   * Brings the scheduled walls and the movement probability matrices up to the current time.
+   *
+   * A wall that becomes active is drawn on the cells not taken by an agent. A wall that ends is removed from the cells still holding its type, where another active wall on the same cell is drawn again. The matrices are only collected again when the set of active ones changed.
+   */
+  applySchedule() {
+    const ended = [];
+    for(const w of this.walls) {
+      const on = this.isActive(w);
+      if(on === w.on) {
+        continue;
+      }
+      w.on = on;
+      if(on) {
+        w.cells.filter(i => !this.cells.has(i)).forEach(i => {
+          this.world.data[i] = w.type;
+        });
+      } else {
+        ended.push(w);
+      }
+    }
+    for(const w of ended) {
+      for(const i of w.cells) {
+        if(this.cells.has(i) || this.world.data[i] !== w.type) {
+          continue;
+        }
+        const other = this.walls.findLast(q => q.on && q.cells.includes(i));
+        this.world.data[i] = other !== undefined ? other.type : 0;
+      }
+    }
+
+    const active = this.scenario.mpmat.filter(p => this.isActive(p));
+    const key = active.map(p => this.scenario.mpmat.indexOf(p)).join(" ");
+    if(key === this.mpmKey) {
+      return;
+    }
+    this.mpmKey = key;
+    const scheduled = active.filter(p => p.schedule !== undefined);
+    const plain = active.filter(p => p.schedule === undefined);
+    this.mpm = {};
+    this.conditionalMpm = {};
+    for(const p of plain.concat(scheduled)) {
+      if(p.conditions.length === 0) {
+        this.mpm[p.type] = p.matrix;
+      }
+    }
+    for(const p of scheduled.concat(plain)) {
+      if(p.conditions.length > 0) {
+        (this.conditionalMpm[p.type] = this.conditionalMpm[p.type] || []).push(p);
+      }
+    }
+  }
+
+  /**
+   * Removes the agents standing in the region of a sink, if the sink accepts their type, and counts them.
+   *
+   * @returns {number} Number of agents removed by all sinks.
+   */
+  applySinks() {
+    let removed = 0;
+    for(const a of this.agents) {
+      const { x, y, type } = a;
+      if(this.leaving.has(a)) {
+        continue;
+      }
+      const s = this.sinks.find(s => this.isActive(s)
+        && (s.types.length === 0 || s.types.includes(type)) && this.inRegion(s, x, y));
+      if(s !== undefined) {
+        this.liftAgent(a);
+        s.removed[type] = (s.removed[type] || 0) + 1;
+        this.leaving.set(a, "removed");
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Puts new agents on randomly chosen empty cells of the source regions. A source whose region is full injects fewer agents than its rate, and so does a source of multi-cell agents whose footprints do not fit.
+   *
+   * @returns {number} Number of agents injected by all sources.
+   */
+  applySources() {
+    let injected = 0;
+    for(const s of this.sources) {
+      if(!this.isActive(s)) {
+        continue;
+      }
+      let n = Math.floor(s.rate);
+      if(this.rng() < s.rate - n) {
+        n++;
+      }
+      if(n === 0) {
+        continue;
+      }
+
+      const cells = [];
+      for(let y = Math.min(s.y1, s.y2); y <= Math.max(s.y1, s.y2); y++) {
+        for(let x = Math.min(s.x1, s.x2); x <= Math.max(s.x1, s.x2); x++) {
+          if(this.contains(x, y) && this.world.get(x, y) === 0) {
+            cells.push([x, y]);
+          }
+        }
+      }
+
+      for(let i = 0; i < n && i < cells.length; i++) {
+        const j = i + Math.floor(this.rng() * (cells.length - i));
+        [cells[i], cells[j]] = [cells[j], cells[i]];
+        const [x, y] = cells[i];
+        if(!this.fits(s.type, x, y)) {
+          continue;
+        }
+        this.placeAgent(this.createAgent(x, y, s.type));
+        s.injected++;
+        injected++;
+      }
+    }
+    return injected;
+  }
+
+  /**
+   * Returns the agents in the order of a random permutation, using the random number generator of the simulation.
+   *
+   * @returns {Object[]} Shuffled copy of the agent list.
+   */
+  shuffledAgents() {
+    const arr = this.agents.slice();
+    for(let i = arr.length - 1; i > 0; i--) {
+      const j = Math.floor(this.rng() * (i + 1));
+      [arr[i], arr[j]] = [arr[j], arr[i]];
+    }
+    return arr;
+  }
+
+  /**
+   * Moves agents one after another, so that each agent sees the moves and interactions of the agents before it.
+   *
+   * @param {Object[]} order - Agents in the order of update.
+   * @returns {number} Number of agents that moved into an empty cell.
+   */
+  stepSequential(order) {
+    let moved = 0;
+    const blocked = [];
+    for(const a of order) {
+      const target = this.leaving.has(a) ? null : this.proposeMove(a, blocked);
+      if(target === null) {
+        continue;
+      }
+      if(!this.contains(target[0], target[1])) {
+        this.absorbAgent(a);
+      } else if(![undefined, a].includes(this.agentAt(target[0], target[1]))) {
+        this.interact(a, target);
+      } else {
+        this.moveAgent(a, target[0], target[1], target[2], target[3]);
+        moved++;
+      }
+    }
+    this.countBlocked(blocked);
+    return moved;
+  }
+
+  /**
+   * Moves all agents at once. Every agent chooses its target in the world as it was at the start of the step, and when several agents target the same cell one of them is picked at random while the others stay. A multi-cell agent claims every cell its footprint newly covers and only moves when it wins all of them. Agents leaving through an absorbing edge never compete for a cell, and interactions are applied after the moves, as long as both agents are still in place. A move stopped by a filter is only counted as blocked when no other agent claimed its target, since otherwise the agent might have lost the cell anyway.
+   *
+   * @returns {number} Number of agents that moved into an empty cell.
+   */
+  stepSynchronous() {
+    const cols = this.scenario.world.cols;
+    const claims = new Map();
+    const targets = new Map();
+    const leaving = [];
+    const contacts = [];
+    const blocked = [];
+    for(const a of this.agents) {
+      const target = this.proposeMove(a, blocked);
+      if(target === null) {
+        continue;
+      }
+      if(!this.contains(target[0], target[1])) {
+        leaving.push(a);
+        continue;
+      }
+      const b = this.agentAt(target[0], target[1]);
+      if(b !== undefined && b !== a) {
+        contacts.push({ a: a, x: a.x, y: a.y, target: target, b: b });
+        continue;
+      }
+      targets.set(a, target);
+      for(const [cx, cy] of this.footprint(a, target[0], target[1])) {
+        const k = cy * cols + cx;
+        if(this.agentAt(cx, cy) === a) {
+          continue;
+        }
+        if(!claims.has(k)) {
+          claims.set(k, []);
+        }
+        claims.get(k).push(a);
+      }
+    }
+
+    for(const a of leaving) {
+      this.absorbAgent(a);
+    }
+    this.countBlocked(blocked.filter(({ a, x, y }) => this.footprint(a, x, y)
+      .every(([cx, cy]) => !claims.has(cy * cols + cx))));
+
+    const losers = new Set();
+    for(const list of claims.values()) {
+      const candidates = list.filter(a => !losers.has(a));
+      if(candidates.length === 0) {
+        continue;
+      }
+      const winner = candidates[Math.floor(this.rng() * candidates.length)];
+      candidates.forEach(a => {
+        if(a !== winner) {
+          losers.add(a);
+        }
+      });
+    }
+    let moved = 0;
+    for(const [a, target] of targets) {
+      if(!losers.has(a)) {
+        this.moveAgent(a, target[0], target[1], target[2], target[3]);
+        moved++;
+      }
+    }
+
+    for(const c of contacts) {
+      const { a, x, y, target, b } = c;
+      if(a.x === x && a.y === y && !this.leaving.has(a)
+        && this.agentAt(target[0], target[1]) === b) {
+        this.interact(a, target);
+      }
+    }
+    return moved;
+  }
+
+  /**
+   * Runs one time step using the update scheme of the simulation, followed by the sinks, the ageing of the agents still in the world and the sources, and brings the scheduled directives to the new time.
+   *
+   * @returns {number} Number of agents that moved.
+   */
+  step() {
+    this.leaving = new Map();
+    const applied = this.rules.reduce((sum, r) => sum + r.count, 0);
+    let moved;
+    switch(this.update) {
+    case "RANDOM":
+      moved = this.stepSequential(this.shuffledAgents());
+      break;
+    case "SYNCHRONOUS":
+      moved = this.stepSynchronous();
+      break;
+    default:
+      moved = this.stepSequential(this.agents);
+    }
+
+    const reasons = [...this.leaving.values()];
+    const absorbed = reasons.filter(r => r === "absorbed").length;
+    const captured = reasons.length - absorbed;
+    const removed = this.applySinks();
+    if(this.leaving.size > 0) {
+      this.agents = this.agents.filter(a => !this.leaving.has(a));
+    }
+    for(const a of this.agents) {
+      a.age++;
+    }
+    const injected = this.applySources();
+
+    this.t += 1;
+    this.applySchedule();
+    this.emit("step", {
+      t: this.t, moved: moved,
+      interactions: this.rules.reduce((sum, r) => sum + r.count, 0) - applied,
+      absorbed: absorbed, captured: captured,
+      removed: removed, injected: injected,
+    });
+    if(this.isFinished()) {
+      this.emit("end", { t: this.t });
+    }
+    return moved;
+  }
+
+  /**
+   * Runs several time steps, stopping early at TEND.
+   *
+   * @param {number} [n] - Number of steps; without it the simulation runs until TEND.
+   * @returns {number} Number of steps actually run.
+   */
+  run(n) {
+    if(n === undefined) {
+      if(this.tend === null) {
+        throw new Error("run() without a number of steps requires TEND");
+      }
+      n = this.tend - this.t;
+    }
+    let i = 0;
+    while(i < n && !this.isFinished()) {
+      this.step();
+      i++;
+    }
+    return i;
+  }
+}
+
+
+/**
+ * Shows a simulation on a page by drawing its world on a canvas and its time in an element after every step.
+ *
+ * This replaces the DOM access inside `simulate_v0_2`, so that a page only needs a timer calling `sim.step()`. Colors follow the PALETTE and COLOR directives of the scenario when 26j28.js is loaded, and `getColor` otherwise.
+ *
+ * @param {Simulation} sim - The simulation to show.
+ * @param {HTMLCanvasElement} can - Canvas for the world, e.g. the "can-out" element.
+ * @param {HTMLElement} [div] - Element for the time, e.g. the "div-time" element.
+ *
+ * @example
+ * const sim = new Simulation(parseAbmInput(txaInput.value).scenario);
+ * bindSimulationToPage(sim, canOut, divTime);
+ * const timer = setInterval(() => sim.step(), 100);
+ * sim.on("end", () => clearInterval(timer));
+ */
+function bindSimulationToPage(sim, can, div) {
+  const scenarioColor = () => typeof createScenarioColor === "function"
+    ? createScenarioColor(sim.scenario)
+    : getColor;
+  let color = scenarioColor();
+  const show = e => {
+    if(div) {
+      div.innerHTML = "t = " + e.t;
+    }
+    drawMatrixOnCanvas(can, sim.world, color, sim.bodies());
+  };
+  sim.on("reset", e => {
+    // A restored snapshot may bring another scenario
+    color = scenarioColor();
+    show(e);
+  });
+  sim.on("step", show);
+  show({ t: sim.t });
+}
+
+
+/**
+ * Saves a snapshot of a simulation in the localStorage of the browser, so that a long run survives a page reload.
+ *
+ * @param {string} key - Name of the snapshot, e.g. "granular-run".
+ * @param {Object} snap - Result of `Simulation.snapshot`.
+ *
+ * @example
+ * saveSnapshot("granular-run", sim.snapshot());
+ * // after a reload
+ * const sim = Simulation.fromSnapshot(loadSnapshot("granular-run"));
+ */
+function saveSnapshot(key, snap) {
+  localStorage.setItem(ABM_SNAPSHOT_PREFIX + key, JSON.stringify(snap));
+}
+
+
+/**
+ * Reads a snapshot saved by `saveSnapshot`.
+ *
+ * @param {string} key - Name of the snapshot.
+ * @returns {Object|null} The snapshot, or null if there is none with this name.
+ */
+function loadSnapshot(key) {
+  const text = localStorage.getItem(ABM_SNAPSHOT_PREFIX + key);
+  return text === null ? null : JSON.parse(text);
+}
+
+
+// marker: 26j21.js
+(() => {
+  console.log("[marker] 26j21.js loaded");
+})();
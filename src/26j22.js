@@ -0,0 +1,83 @@
+/**
+ * 26j22.js
+ * Functions used in butiran/26j22 note
+ *
+ * Author: Sparisoma Viridi (https://github.com/dudung)
+ * Created: 2026-10-19
+ *
+ * Exported:
+ * - createRandom(seed)
+ * - randomSeed()
+ */
+
+
+/**
+ * Creates a seeded pseudo random number generator that can replace `Math.random`.
+ *
+ * It is a xorshift128 generator whose 128-bit state is filled from the seed with splitmix32, so that nearby seeds such as 1 and 2 still give unrelated sequences. The same seed always produces the same sequence, which makes ABM runs reproducible.
+ *
+ * The returned function also has
+ *   - `seed`, the seed it was created with,
+ *   - `getState()`, returning the state as an array of four integers,
+ *   - `setState(state)`, continuing from a state returned by `getState()`.
+ *
+ * @param {number} seed - Integer seed.
+ * @returns {function(): number} Function returning numbers in [0, 1).
+ *
+ * @example
+ * const rng = createRandom(2025);
+ * rng();  // 0.3...  (the same value on every run)
+ * shuffle([1, 2, 3, 4], rng);
+ */
+function createRandom(seed) {
+  let h = seed >>> 0;
+  const splitmix32 = () => {
+    h = (h + 0x9e3779b9) >>> 0;
+    let z = h;
+    z = Math.imul(z ^ (z >>> 16), 0x85ebca6b);
+    z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35);
+    return (z ^ (z >>> 16)) >>> 0;
+  };
+
+  const s = [splitmix32(), splitmix32(), splitmix32(), splitmix32()];
+  if(s.every(v => v === 0)) {
+    s[0] = 1;
+  }
+
+  const rng = () => {
+    let t = s[0];
+    t ^= t << 11;
+    t ^= t >>> 8;
+    const w = s[3];
+    s[0] = s[1];
+    s[1] = s[2];
+    s[2] = w;
+    s[3] = (w ^ (w >>> 19) ^ t) >>> 0;
+    return s[3] / 4294967296;
+  };
+  rng.seed = seed;
+  rng.getState = () => s.slice();
+  rng.setState = state => {
+    for(let i = 0; i < 4; i++) {
+      s[i] = state[i] >>> 0;
+    }
+  };
+
+  return rng;
+}
+
+
+/**
+ * Draws a new seed from `Math.random`, to be stored with a run that was not seeded explicitly.
+ *
+ * @returns {number} Integer in [0, 2^31).
+ */
+function randomSeed() {
+  return Math.floor(Math.random() * 2147483648);
+}
+
+
+// marker: 26j22.js
+(() => {
+  console.log("[marker] 26j22.js loaded");
+})();
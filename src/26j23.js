@@ -0,0 +1,499 @@
+/**
+ * 26j23.js
+ * Headless ABM runner used in butiran/26j23 note
+ *
+ * Author: Sparisoma Viridi (https://github.com/dudung)
+ * Created: 2026-10-19
+ *
+ * Usage:
+ *   node src/26j23.js input.txt [--seed n] [--out file] [--normalize]
+ *     [--record file.json|file.csv]
+ *   node src/26j23.js input.txt --sweep PARAM a:b:step [--repeat n]
+ *     [--seed n] [--out file] [--normalize]
+ *   node src/26j23.js input.txt --track id,id,... [--seed n] [--out file]
+ *
+ * A single run prints summary statistics as JSON and, with --record, writes
+ * its trajectory as delta-encoded JSON or as CSV. A sweep prints one CSV
+ * line per agent type, parameter value and repetition, where repetition r
+ * uses seed + r. A tracked run prints one CSV line per step and agent id,
+ * with its position, type, age and attributes. PARAM is either
+ *   - FRACTION, the fraction of the first MPMAT type, with agent types of
+ *     the AGENT lines drawn again for every run, or
+ *   - MPMAT:type:row:col, one entry of a movement probability matrix, with
+ *     the other entries scaled so that the matrix still sums to 1.
+ * Values of both lie between 0 and 1, and every changed scenario is
+ * validated again before the sweep starts.
+ *
+ * The input is validated first. A movement probability matrix that does not
+ * sum to 1 stops the run, unless --normalize is given to scale it. Warnings,
+ * e.g. about agent types without MPMAT, are printed to stderr. A missing or
+ * malformed option value prints the usage and exits with code 2, and every
+ * type of the scenario gets a line of zeros when none of its agents is left.
+ *
+ * Exported:
+ * - loadAbmScripts(dir)
+ * - summarizeSimulation(sim, moved)
+ * - runScenario(scenario, seed, setup)
+ * - trackAgents(scenario, seed, ids)
+ * - setScenarioParameter(scenario, param, value, rng)
+ * - sweepScenario(scenario, param, values, repeat, seed)
+ * - main(args)
+ */
+
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const ABM_SCRIPTS = [
+  "25e41.js",
+  "25f45.js",
+  "25f49.js",
+  "25f53.js",
+  "26j20.js",
+  "26j21.js",
+  "26j22.js",
+  "26j25.js",
+  "26j26.js",
+  "26j28.js",
+];
+
+
+/**
+ * Loads the browser scripts of the ABM engine into the global scope of Node, as script tags do on a page.
+ *
+ * Their "[marker] ... loaded" lines are not printed, to keep the output clean.
+ *
+ * @param {string} [dir] - Directory of the scripts, by default the one of this file.
+ */
+function loadAbmScripts(dir = __dirname) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    for(const f of ABM_SCRIPTS) {
+      const file = path.join(dir, f);
+      vm.runInThisContext(fs.readFileSync(file, "utf8"), { filename: file });
+    }
+  } finally {
+    console.log = log;
+  }
+}
+
+
+/**
+ * Computes summary statistics of a simulation, per agent type.
+ *
+ * @param {Simulation} sim - A simulation, usually at TEND.
+ * @param {number} moved - Total number of moves during the run.
+ * @returns {Object} Time, seed, update scheme, moves, for every type of the scenario and every type left in the world the count, the numbers injected by sources, removed by sinks, captured by filters and absorbed at the edges, mean x, mean y and standard deviation of y, where the last three are null when no agent of the type is left, the counters of every filter and how often every rule was applied.
+ */
+function summarizeSimulation(sim, moved) {
+  const injected = {};
+  for(const s of sim.sources) {
+    injected[s.type] = (injected[s.type] || 0) + s.injected;
+  }
+  const total = (list, key) => {
+    const sum = {};
+    for(const item of list) {
+      for(const [type, n] of Object.entries(item[key])) {
+        sum[type] = (sum[type] || 0) + n;
+      }
+    }
+    return sum;
+  };
+  const removed = total(sim.sinks, "removed");
+  const captured = total(sim.filters, "captured");
+
+  // Types that never appear or are all gone still get a line of zeros
+  const groups = {};
+  for(const type of getScenarioTypes(sim.scenario)) {
+    groups[type] = { xs: [], ys: [] };
+  }
+  for(const type of Object.keys({ ...injected, ...removed, ...captured, ...sim.absorbed })) {
+    groups[type] = { xs: [], ys: [] };
+  }
+  for(const { x, y, type } of sim.agents) {
+    if(!groups[type]) {
+      groups[type] = { xs: [], ys: [] };
+    }
+    groups[type].xs.push(x);
+    groups[type].ys.push(y);
+  }
+
+  const mean = arr => arr.length > 0 ? arr.reduce((s, v) => s + v, 0) / arr.length : null;
+  const types = {};
+  for(const [type, g] of Object.entries(groups)) {
+    const meanY = mean(g.ys);
+    types[type] = {
+      count: g.ys.length,
+      injected: injected[type] || 0,
+      removed: removed[type] || 0,
+      captured: captured[type] || 0,
+      absorbed: sim.absorbed[type] || 0,
+      meanX: mean(g.xs),
+      meanY: meanY,
+      stdY: meanY === null ? null : Math.sqrt(mean(g.ys.map(y => (y - meanY) ** 2))),
+    };
+  }
+
+  return {
+    t: sim.t,
+    seed: sim.seed,
+    update: sim.update,
+    moved: moved,
+    types: types,
+    filters: sim.filters.map(f => ({
+      passed: f.passed, blocked: f.blocked, captured: f.captured,
+    })),
+    rules: sim.rules.map(r => r.count),
+  };
+}
+
+
+/**
+ * Runs a scenario to TEND without any DOM and summarizes the result.
+ *
+ * @param {Object} scenario - Scenario from `parseAbmInput`, which must define TEND.
+ * @param {number} seed - Seed of the run.
+ * @param {function(Simulation): void} [setup] - Called with the simulation before it runs, e.g. to attach `recordTrajectory`.
+ * @returns {Object} Result of `summarizeSimulation`.
+ */
+function runScenario(scenario, seed, setup) {
+  const sim = new Simulation(scenario, { seed: seed });
+  if(setup) {
+    setup(sim);
+  }
+  let moved = 0;
+  sim.on("step", e => {
+    moved += e.moved;
+  });
+  sim.run();
+  return summarizeSimulation(sim, moved);
+}
+
+
+/**
+ * Runs a scenario to TEND and records the state of some agents after every step, following them by id.
+ *
+ * @param {Object} scenario - Scenario from `parseAbmInput`, which must define TEND.
+ * @param {number} seed - Seed of the run.
+ * @param {number[]} ids - Ids of the agents, where the agents of the AGENT lines have ids 1, 2, ... in their order and injected agents follow.
+ * @returns {Array<{t: number, id: number, type: number, x: number, y: number, age: number, attrs: Object}>} One record per step and agent, from t = 0 until the agent leaves the world. An id that belongs to no agent during the whole run is an error.
+ */
+function trackAgents(scenario, seed, ids) {
+  const sim = new Simulation(scenario, { seed: seed });
+  const records = [];
+  const record = () => {
+    for(const id of ids) {
+      const a = sim.agentById(id);
+      if(a !== undefined) {
+        records.push({
+          t: sim.t, id: a.id, type: a.type, x: a.x, y: a.y, age: a.age,
+          attrs: Object.assign({}, a.attrs),
+        });
+      }
+    }
+  };
+  record();
+  sim.on("step", record);
+  sim.run();
+
+  const seen = new Set(records.map(r => r.id));
+  const unknown = ids.filter(id => !seen.has(id));
+  if(unknown.length > 0) {
+    throw new Error("no agent with id " + unknown.join(", ")
+      + " in the run, whose agents have ids 1 to " + (sim.nextId - 1));
+  }
+  return records;
+}
+
+
+/**
+ * Returns a copy of a scenario with one parameter changed.
+ *
+ * @param {Object} scenario - The original scenario; it is not modified.
+ * @param {string} param - "FRACTION" or "MPMAT:type:row:col", the latter for the unconditional and unscheduled matrix of the type.
+ * @param {number} value - New value of the parameter, a fraction or probability from 0 to 1.
+ * @param {function(): number} rng - Random number generator for drawing agent types.
+ * @returns {Object} Changed copy of the scenario.
+ */
+function setScenarioParameter(scenario, param, value, rng) {
+  if(!(value >= 0 && value <= 1)) {
+    throw new Error(param + " must lie between 0 and 1 but got " + value);
+  }
+  const s = structuredClone(scenario);
+
+  if(param === "FRACTION") {
+    const types = [...new Set(s.mpmat.map(p => p.type))];
+    if(types.length < 2) {
+      throw new Error("FRACTION sweep needs at least two MPMAT types");
+    }
+    const base = s.fraction && s.fraction.length === types.length
+      ? s.fraction.slice(1)
+      : Array(types.length - 1).fill(1);
+    const rest = base.reduce((sum, f) => sum + f, 0);
+    s.fraction = [value].concat(base.map(f => (1 - value) * f / rest));
+
+    for(const a of s.agents) {
+      const r = rng();
+      let c = 0;
+      a.type = types[types.length - 1];
+      for(let i = 0; i < types.length; i++) {
+        c += s.fraction[i];
+        if(r < c) {
+          a.type = types[i];
+          break;
+        }
+      }
+    }
+    return s;
+  }
+
+  const [key, type, row, col] = param.split(":");
+  const p = key === "MPMAT"
+    ? s.mpmat.find(q => q.type === Number(type) && q.conditions.length === 0
+      && q.schedule === undefined)
+    : undefined;
+  if(p === undefined || p.matrix[row] === undefined || p.matrix[row][col] === undefined) {
+    throw new Error("unknown sweep parameter '" + param + "'");
+  }
+  const m = p.matrix;
+  const others = m.flat().reduce((sum, v) => sum + v, 0) - m[row][col];
+  for(let r = 0; r < m.length; r++) {
+    for(let c = 0; c < m[r].length; c++) {
+      if(others > 0) {
+        m[r][c] *= (1 - value) / others;
+      }
+    }
+  }
+  m[row][col] = value;
+  return s;
+}
+
+
+/**
+ * Runs a scenario for every value of a parameter, repeating each value with different seeds.
+ *
+ * Every changed scenario is checked with `validateScenario` before the first run, so that a sweep stops with the errors of the first broken one instead of writing statistics of a model with wrong probabilities.
+ *
+ * @param {Object} scenario - Scenario from `parseAbmInput`, which must define TEND.
+ * @param {string} param - "FRACTION" or "MPMAT:type:row:col".
+ * @param {number[]} values - Values of the parameter.
+ * @param {number} repeat - Number of runs per value.
+ * @param {number} seed - Seed of the first run of every value; run r uses seed + r.
+ * @returns {Array<{value: number, repeat: number, summary: Object}>} One result per run.
+ */
+function sweepScenario(scenario, param, values, repeat, seed) {
+  const runs = [];
+  for(const value of values) {
+    for(let r = 0; r < repeat; r++) {
+      // Agent types use another stream than the run itself
+      const rng = createRandom((seed + r) ^ 0x7fffffff);
+      const s = setScenarioParameter(scenario, param, value, rng);
+      const { errors } = validateScenario(s);
+      if(errors.length > 0) {
+        throw new Error(param + " = " + value + " gives an invalid scenario: "
+          + errors.map(formatAbmError).join("; "));
+      }
+      runs.push({ value: value, repeat: r, scenario: s });
+    }
+  }
+  return runs.map(run => ({
+    value: run.value, repeat: run.repeat, summary: runScenario(run.scenario, seed + run.repeat),
+  }));
+}
+
+
+/**
+ * Converts a range "a:b:step" into its values, both ends included.
+ *
+ * @param {string} str - The range.
+ * @returns {number[]} The values.
+ */
+function parseRange(str) {
+  const [a, b, step] = str.split(":").map(Number);
+  if([a, b, step].some(Number.isNaN) || step <= 0 || b < a) {
+    throw new Error("range must look like a:b:step but got '" + str + "'");
+  }
+  const n = Math.round((b - a) / step);
+  const values = [];
+  for(let i = 0; i <= n; i++) {
+    values.push(Number((a + i * step).toFixed(10)));
+  }
+  return values;
+}
+
+
+/**
+ * Converts sweep results into CSV text with one line per run and agent type.
+ *
+ * @param {string} param - Name of the swept parameter.
+ * @param {Object[]} results - Result of `sweepScenario`.
+ * @returns {string} CSV text with header line.
+ */
+function sweepToCsv(param, results) {
+  const lines = [
+    "param,value,repeat,seed,t,moved,type,count,injected,removed,captured,absorbed,"
+      + "meanX,meanY,stdY",
+  ];
+  for(const { value, repeat, summary } of results) {
+    for(const [type, s] of Object.entries(summary.types)) {
+      lines.push([
+        param, value, repeat, summary.seed, summary.t, summary.moved,
+        type, s.count, s.injected, s.removed, s.captured, s.absorbed,
+        s.meanX, s.meanY, s.stdY,
+      ].join(","));
+    }
+  }
+  return lines.join("\n");
+}
+
+
+/**
+ * Converts agent records into CSV text, with one column per attribute found in any record.
+ *
+ * @param {Object[]} records - Result of `trackAgents`.
+ * @returns {string} CSV text with header line.
+ */
+function trackToCsv(records) {
+  const names = [...new Set(records.flatMap(r => Object.keys(r.attrs)))];
+  const lines = [["t", "id", "type", "x", "y", "age"].concat(names).join(",")];
+  for(const r of records) {
+    lines.push([r.t, r.id, r.type, r.x, r.y, r.age].concat(names.map(n => r.attrs[n])).join(","));
+  }
+  return lines.join("\n");
+}
+
+
+/**
+ * Reads command line arguments, runs the simulation, sweep or tracked run and writes the output.
+ *
+ * @param {string[]} args - Arguments after the script name.
+ * @returns {number} Exit code.
+ */
+function main(args) {
+  const opts = { repeat: 1 };
+  const files = [];
+  let problem = null;
+  let i = 0;
+
+  // Value after a flag, which may be a negative number but not another flag
+  const value = flag => {
+    const v = args[i + 1];
+    if(v === undefined || v.startsWith("--")) {
+      problem = problem || flag + " needs a value";
+      return undefined;
+    }
+    i++;
+    return v;
+  };
+  const integer = (flag, v, min) => {
+    const n = /^[+-]?\d+$/.test(v) ? Number(v) : NaN;
+    if(v !== undefined && !(Number.isSafeInteger(n) && n >= min)) {
+      problem = problem || flag + " needs " + (min === 1 ? "a positive integer" : "an integer")
+        + " but got '" + v + "'";
+    }
+    return n;
+  };
+
+  for(; i < args.length; i++) {
+    const flag = args[i];
+    switch(flag) {
+    case "--seed": opts.seed = integer(flag, value(flag), -Infinity); break;
+    case "--out": opts.out = value(flag); break;
+    case "--repeat": opts.repeat = integer(flag, value(flag), 1); break;
+    case "--sweep": opts.param = value(flag); opts.range = value(flag); break;
+    case "--normalize": opts.normalize = true; break;
+    case "--track": {
+      const v = value(flag);
+      opts.track = v === undefined ? [] : v.split(",").map(id => integer(flag, id, 1));
+      break;
+    }
+    case "--record": opts.record = value(flag); break;
+    default:
+      if(flag.startsWith("--")) {
+        problem = problem || "unknown option " + flag;
+      }
+      files.push(flag);
+    }
+  }
+  if(problem !== null || files.length !== 1) {
+    if(problem !== null) {
+      console.error("26j23.js: " + problem);
+    }
+    console.error("usage: node 26j23.js input.txt [--seed n] [--out file]"
+      + " [--sweep PARAM a:b:step] [--repeat n] [--track id,...] [--record file]"
+      + " [--normalize]");
+    return 2;
+  }
+
+  loadAbmScripts();
+
+  const { scenario, errors, warnings } = loadAbmScenario(
+    fs.readFileSync(files[0], "utf8"), { normalize: opts.normalize }
+  );
+  warnings.forEach(w => console.error(files[0] + ": warning: " + formatAbmError(w)));
+  if(errors.length > 0) {
+    errors.forEach(e => console.error(files[0] + ": " + formatAbmError(e)));
+    return 1;
+  }
+  if(scenario.tend === null) {
+    console.error(files[0] + ": TEND is required for a headless run");
+    return 1;
+  }
+
+  let seed = opts.seed;
+  if(seed === undefined) {
+    seed = scenario.seed !== null ? scenario.seed : randomSeed();
+  }
+
+  let output;
+  try {
+    if(opts.param) {
+      const results = sweepScenario(scenario, opts.param, parseRange(opts.range),
+        opts.repeat, seed);
+      output = sweepToCsv(opts.param, results);
+    } else if(opts.track) {
+      output = trackToCsv(trackAgents(scenario, seed, opts.track));
+    } else {
+      let recorder = null;
+      const summary = runScenario(scenario, seed, sim => {
+        if(opts.record) {
+          recorder = recordTrajectory(sim);
+        }
+      });
+      if(recorder !== null) {
+        const { trajectory } = recorder;
+        fs.writeFileSync(opts.record, (opts.record.endsWith(".csv")
+          ? trajectory.toCsv()
+          : JSON.stringify(trajectory.toJSON())) + "\n");
+      }
+      output = JSON.stringify(summary, null, 2);
+    }
+  } catch(err) {
+    console.error(files[0] + ": " + err.message);
+    return 1;
+  }
+
+  if(opts.out) {
+    fs.writeFileSync(opts.out, output + "\n");
+  } else {
+    console.log(output);
+  }
+  return 0;
+}
+
+
+module.exports = {
+  loadAbmScripts,
+  summarizeSimulation,
+  runScenario,
+  trackAgents,
+  setScenarioParameter,
+  sweepScenario,
+  main,
+};
+
+if(require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
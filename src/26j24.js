@@ -0,0 +1,231 @@
+/**
+ * 26j24.js
+ * Functions used in butiran/26j24 note
+ *
+ * Author: Sparisoma Viridi (https://github.com/dudung)
+ * Created: 2026-10-19
+ *
+ * Exported:
+ * - createSimulationWorker(scenario, options)
+ * - bindSimulationWorkerToPage(runner, can, div, color)
+ *
+ * The same file runs on the page and inside the Web Worker. On the page it
+ * only defines the functions above. In a worker it waits for an "init"
+ * message, loads the engine scripts with importScripts and runs a
+ * `Simulation`, posting a snapshot of the world after every step.
+ *
+ * Messages to the worker:
+ *   { cmd: "init", scripts, scenario, options }
+ *   { cmd: "start", interval }, { cmd: "pause" }, { cmd: "step" },
+ *   { cmd: "stop" }, which pauses and resets the simulation
+ *
+ * Messages from the worker:
+ *   { type: "frame", t, rows, cols, cells, bodies }, where cells is an
+ *     Int32Array of the world in row order and bodies the footprints of
+ *     multi-cell agents
+ *   { type: "end", t }
+ *   { type: "error", message }
+ */
+
+
+const ABM_WORKER_URL = typeof document !== "undefined" && document.currentScript
+  ? document.currentScript.src
+  : null;
+
+const ABM_WORKER_SCRIPTS = [
+  "25e41.js",
+  "25f45.js",
+  "25f49.js",
+  "25f53.js",
+  "26j20.js",
+  "26j21.js",
+  "26j22.js",
+  "26j25.js",
+];
+
+
+/**
+ * Runs a scenario in a Web Worker, so that long simulations do not block the page.
+ *
+ * Frames arriving faster than the page can draw are dropped, and only the latest one is passed to "frame" listeners on the next animation frame. Its `world` is a list of Int32Array rows, which `drawMatrixOnCanvas` accepts like world[y][x], and its `bodies` are the footprints of multi-cell agents.
+ *
+ * @param {Object} scenario - Scenario from `parseAbmInput`.
+ * @param {Object} [options] - Options of `Simulation`, e.g. `seed` and `update`, and `scripts`, the URLs of the engine scripts, by default the ones next to this file.
+ * @returns {Object} Runner with `on(type, listener)`, `start(interval)`, `pause()`, `step()`, `stop()` and `terminate()`.
+ *
+ * @example
+ * // Replaces: timer = setInterval(simulate_v0_2, interval);
+ * const runner = createSimulationWorker(parseAbmInput(txaInput.value).scenario);
+ * bindSimulationWorkerToPage(runner, canOut, divTime);  // or with createScenarioColor(scenario)
+ * runner.start(interval);
+ */
+function createSimulationWorker(scenario, options = {}) {
+  const { scripts, ...simOptions } = options;
+  const urls = (scripts || ABM_WORKER_SCRIPTS.map(f => new URL(f, ABM_WORKER_URL).href))
+    .map(s => new URL(s, location.href).href);
+
+  const worker = new Worker(ABM_WORKER_URL);
+  const listeners = {};
+  let latest = null;
+
+  const emit = (type, detail) => {
+    for(const l of listeners[type] || []) {
+      l(detail);
+    }
+  };
+
+  const draw = () => {
+    const f = latest;
+    latest = null;
+    const world = [];
+    for(let r = 0; r < f.rows; r++) {
+      world.push(f.cells.subarray(r * f.cols, (r + 1) * f.cols));
+    }
+    emit("frame", { t: f.t, world: world, bodies: f.bodies });
+  };
+
+  worker.onmessage = e => {
+    const msg = e.data;
+    if(msg.type === "frame") {
+      if(latest === null) {
+        requestAnimationFrame(draw);
+      }
+      latest = msg;
+    } else {
+      emit(msg.type, msg);
+    }
+  };
+
+  worker.postMessage({
+    cmd: "init", scripts: urls, scenario: scenario, options: simOptions,
+  });
+
+  return {
+    on(type, listener) {
+      if(!listeners[type]) {
+        listeners[type] = [];
+      }
+      listeners[type].push(listener);
+      return this;
+    },
+    start(interval = 100) {
+      worker.postMessage({ cmd: "start", interval: interval });
+    },
+    pause() {
+      worker.postMessage({ cmd: "pause" });
+    },
+    step() {
+      worker.postMessage({ cmd: "step" });
+    },
+    stop() {
+      worker.postMessage({ cmd: "stop" });
+    },
+    terminate() {
+      worker.terminate();
+    },
+  };
+}
+
+
+/**
+ * Shows the frames of a worker runner on a canvas and its time in an element, as `bindSimulationToPage` does for a `Simulation`.
+ *
+ * @param {Object} runner - Runner from `createSimulationWorker`.
+ * @param {HTMLCanvasElement} can - Canvas for the world, e.g. the "can-out" element.
+ * @param {HTMLElement} [div] - Element for the time, e.g. the "div-time" element.
+ * @param {function(number): string} [color=getColor] - Color function, e.g. `createScenarioColor(scenario)` for the palette of the scenario.
+ */
+function bindSimulationWorkerToPage(runner, can, div, color = getColor) {
+  runner.on("frame", f => {
+    if(div) {
+      div.innerHTML = "t = " + f.t;
+    }
+    drawMatrixOnCanvas(can, f.world, color, f.bodies);
+  });
+}
+
+
+/**
+ * Handles messages inside the worker. It is only installed when this file runs as a worker.
+ */
+function runSimulationWorker() {
+  let sim = null;
+  let timer = null;
+
+  const post = () => {
+    const { rows, cols } = sim.world;
+    const cells = new Int32Array(sim.world.data);
+    self.postMessage(
+      { type: "frame", t: sim.t, rows: rows, cols: cols, cells: cells, bodies: sim.bodies() },
+      [cells.buffer]
+    );
+  };
+
+  const pause = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  const fail = err => {
+    pause();
+    self.postMessage({ type: "error", message: err.message });
+  };
+
+  // Also called by the interval timer, outside the handler below
+  const step = () => {
+    try {
+      sim.step();
+      post();
+      if(sim.isFinished()) {
+        pause();
+        self.postMessage({ type: "end", t: sim.t });
+      }
+    } catch(err) {
+      fail(err);
+    }
+  };
+
+  self.onmessage = e => {
+    const msg = e.data;
+    try {
+      switch(msg.cmd) {
+      case "init":
+        importScripts(...msg.scripts);
+        sim = new Simulation(msg.scenario, msg.options);
+        post();
+        break;
+      case "start":
+        if(timer === null && !sim.isFinished()) {
+          timer = setInterval(step, msg.interval);
+        }
+        break;
+      case "pause":
+        pause();
+        break;
+      case "step":
+        if(!sim.isFinished()) {
+          step();
+        }
+        break;
+      case "stop":
+        pause();
+        sim.reset();
+        post();
+        break;
+      }
+    } catch(err) {
+      fail(err);
+    }
+  };
+}
+
+
+if(typeof WorkerGlobalScope !== "undefined" && self instanceof WorkerGlobalScope) {
+  runSimulationWorker();
+}
+
+
+// marker: 26j24.js
+(() => {
+  console.log("[marker] 26j24.js loaded");
+})();
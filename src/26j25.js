@@ -0,0 +1,307 @@
+/**
+ * 26j25.js
+ * Functions used in butiran/26j25 note
+ *
+ * Author: Sparisoma Viridi (https://github.com/dudung)
+ * Created: 2026-10-19
+ *
+ * Exported:
+ * - Grid
+ * - benchmarkGrid(rows, cols, repeat)
+ */
+
+
+/**
+ * Two-dimensional grid of integers stored in one typed array, as a faster and smaller replacement of the array of arrays made by `createZeroMatrix`.
+ *
+ * Cells are addressed as (x, y) = (column, row), like world[y][x], and are stored row after row in `data`. Access outside the grid throws a RangeError instead of silently reading undefined.
+ *
+ * @example
+ * const g = new Grid(40, 40);         // rows, cols
+ * drawWall(g, [0, 39], [39, 39], 10);
+ * g.set(5, 2, 48);
+ * g.get(5, 2);                        // 48
+ * g.neighbors(5, 2).length;           // 8
+ */
+class Grid {
+  /**
+   * Creates a grid filled with zeros.
+   *
+   * @param {number} rows - Number of rows.
+   * @param {number} cols - Number of columns.
+   * @param {Function} [ArrayType=Int32Array] - Typed array class, e.g. Uint16Array to save memory when values are non-negative and small.
+   */
+  constructor(rows, cols, ArrayType = Int32Array) {
+    if(!(rows > 0 && cols > 0)) {
+      throw new RangeError("grid size must be positive but got " + rows + "×" + cols);
+    }
+    this.rows = rows;
+    this.cols = cols;
+    this.data = new ArrayType(rows * cols);
+  }
+
+  /**
+   * Creates a grid with the values of a matrix indexed as m[y][x].
+   *
+   * @param {number[][]} m - The matrix.
+   * @param {Function} [ArrayType=Int32Array] - Typed array class.
+   * @returns {Grid} New grid.
+   */
+  static fromArray(m, ArrayType = Int32Array) {
+    const g = new Grid(m.length, m[0].length, ArrayType);
+    for(let y = 0; y < g.rows; y++) {
+      g.data.set(m[y], y * g.cols);
+    }
+    return g;
+  }
+
+  /**
+   * Tells whether a cell lies inside the grid.
+   *
+   * @param {number} x - Column.
+   * @param {number} y - Row.
+   * @returns {boolean} True for a cell of the grid.
+   */
+  contains(x, y) {
+    return x >= 0 && x < this.cols && y >= 0 && y < this.rows;
+  }
+
+  /**
+   * Returns the position of a cell in `data`.
+   *
+   * @param {number} x - Column.
+   * @param {number} y - Row.
+   * @returns {number} Index y * cols + x.
+   */
+  index(x, y) {
+    if(!this.contains(x, y)) {
+      throw new RangeError("cell (" + x + ", " + y + ") is outside the "
+        + this.cols + "×" + this.rows + " grid");
+    }
+    return y * this.cols + x;
+  }
+
+  /**
+   * Returns the value of a cell.
+   *
+   * @param {number} x - Column.
+   * @param {number} y - Row.
+   * @returns {number} Cell value.
+   */
+  get(x, y) {
+    return this.data[this.index(x, y)];
+  }
+
+  /**
+   * Changes the value of a cell.
+   *
+   * @param {number} x - Column.
+   * @param {number} y - Row.
+   * @param {number} v - New value.
+   */
+  set(x, y, v) {
+    this.data[this.index(x, y)] = v;
+  }
+
+  /**
+   * Returns the cells around a cell in its 3×3 (Moore) neighborhood that lie inside the grid, the cell itself excluded.
+   *
+   * @param {number} x - Column.
+   * @param {number} y - Row.
+   * @returns {Array<{x: number, y: number, value: number}>} Up to eight neighbors, row by row.
+   */
+  neighbors(x, y) {
+    const list = [];
+    for(let dy = -1; dy <= 1; dy++) {
+      for(let dx = -1; dx <= 1; dx++) {
+        const x2 = x + dx;
+        const y2 = y + dy;
+        if((dx !== 0 || dy !== 0) && this.contains(x2, y2)) {
+          list.push({ x: x2, y: y2, value: this.data[y2 * this.cols + x2] });
+        }
+      }
+    }
+    return list;
+  }
+
+  /**
+   * Calls a function for every cell, row by row.
+   *
+   * @param {function(number, number, number): void} fn - Called with value, x and y.
+   */
+  forEach(fn) {
+    let i = 0;
+    for(let y = 0; y < this.rows; y++) {
+      for(let x = 0; x < this.cols; x++) {
+        fn(this.data[i], x, y);
+        i++;
+      }
+    }
+  }
+
+  /**
+   * Sets every cell to a value.
+   *
+   * @param {number} v - The value.
+   * @returns {Grid} This grid.
+   */
+  fill(v) {
+    this.data.fill(v);
+    return this;
+  }
+
+  /**
+   * Returns a copy of the grid with its own storage.
+   *
+   * @returns {Grid} The copy.
+   */
+  clone() {
+    const g = new Grid(this.rows, this.cols, this.data.constructor);
+    g.data.set(this.data);
+    return g;
+  }
+
+  /**
+   * Converts the grid into an array of arrays indexed as m[y][x].
+   *
+   * @returns {number[][]} The matrix.
+   */
+  toArray() {
+    const m = [];
+    for(let y = 0; y < this.rows; y++) {
+      m.push(Array.from(this.data.subarray(y * this.cols, (y + 1) * this.cols)));
+    }
+    return m;
+  }
+}
+
+
+/**
+ * Compares an array of arrays from `createZeroMatrix` with a `Grid` on four kinds of work done by a simulation:
+ *   - create, making an empty world,
+ *   - copy, taking a snapshot of the world, e.g. for a worker frame,
+ *   - sweep, reading the eight neighbors of every cell and writing the empty ones, through `get` and `set` as `Simulation` does,
+ *   - neighbors, collecting the neighbors of every cell as objects, through `neighbors()` for the grid.
+ *
+ * @param {number} [rows=400] - Number of rows.
+ * @param {number} [cols=400] - Number of columns.
+ * @param {number} [repeat=20] - Number of times each kind of work is done.
+ * @returns {{matrix: Object, grid: Object, speedup: Object}} Times in ms of `create`, `copy`, `sweep` and `neighbors` for both, and their ratios matrix / grid.
+ *
+ * @example
+ * benchmarkGrid(400, 400, 20).speedup;
+ * // { create: 20.8, copy: 0.93, sweep: 1.02, neighbors: 1.05 }  (Node 20, one core)
+ * // Over five runs create gained 19 to 183 times, copy 0.7 to 1.4 times,
+ * // sweep 0.5 to 1.05 times and neighbors 0.8 to 1.3 times. The bounds checks
+ * // of `get` and `set` cost about what the typed array saves, so the gain is in
+ * // making and sending worlds, not in stepping them.
+ */
+function benchmarkGrid(rows = 400, cols = 400, repeat = 20) {
+  const sweepMatrix = m => {
+    let sum = 0;
+    for(let y = 1; y < rows - 1; y++) {
+      for(let x = 1; x < cols - 1; x++) {
+        for(let dy = -1; dy <= 1; dy++) {
+          for(let dx = -1; dx <= 1; dx++) {
+            if(dx === 0 && dy === 0) {
+              continue;
+            }
+            const v = m[y + dy][x + dx];
+            sum += v;
+            if(v === 0) {
+              m[y + dy][x + dx] = 0;
+            }
+          }
+        }
+      }
+    }
+    return sum;
+  };
+
+  const sweepGrid = g => {
+    let sum = 0;
+    for(let y = 1; y < rows - 1; y++) {
+      for(let x = 1; x < cols - 1; x++) {
+        for(let dy = -1; dy <= 1; dy++) {
+          for(let dx = -1; dx <= 1; dx++) {
+            if(dx === 0 && dy === 0) {
+              continue;
+            }
+            const v = g.get(x + dx, y + dy);
+            sum += v;
+            if(v === 0) {
+              g.set(x + dx, y + dy, 0);
+            }
+          }
+        }
+      }
+    }
+    return sum;
+  };
+
+  const neighborsMatrix = m => {
+    let count = 0;
+    for(let y = 0; y < rows; y++) {
+      for(let x = 0; x < cols; x++) {
+        const list = [];
+        for(let dy = -1; dy <= 1; dy++) {
+          for(let dx = -1; dx <= 1; dx++) {
+            const x2 = x + dx;
+            const y2 = y + dy;
+            if((dx !== 0 || dy !== 0) && x2 >= 0 && x2 < cols && y2 >= 0 && y2 < rows) {
+              list.push({ x: x2, y: y2, value: m[y2][x2] });
+            }
+          }
+        }
+        count += list.length;
+      }
+    }
+    return count;
+  };
+
+  const neighborsGrid = g => {
+    let count = 0;
+    for(let y = 0; y < rows; y++) {
+      for(let x = 0; x < cols; x++) {
+        count += g.neighbors(x, y).length;
+      }
+    }
+    return count;
+  };
+
+  const time = fn => {
+    const t0 = performance.now();
+    for(let i = 0; i < repeat; i++) {
+      fn();
+    }
+    return performance.now() - t0;
+  };
+
+  const m = createZeroMatrix(rows, cols);
+  const g = new Grid(rows, cols);
+
+  const matrix = {
+    create: time(() => createZeroMatrix(rows, cols)),
+    copy: time(() => m.map(r => r.slice())),
+    sweep: time(() => sweepMatrix(m)),
+    neighbors: time(() => neighborsMatrix(m)),
+  };
+  const grid = {
+    create: time(() => new Grid(rows, cols)),
+    copy: time(() => g.clone()),
+    sweep: time(() => sweepGrid(g)),
+    neighbors: time(() => neighborsGrid(g)),
+  };
+
+  const speedup = {};
+  for(const k of Object.keys(matrix)) {
+    speedup[k] = matrix[k] / grid[k];
+  }
+  return { matrix: matrix, grid: grid, speedup: speedup };
+}
+
+
+// marker: 26j25.js
+(() => {
+  console.log("[marker] 26j25.js loaded");
+})();
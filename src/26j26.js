@@ -0,0 +1,347 @@
+/**
+ * 26j26.js
+ * Functions used in butiran/26j26 note
+ *
+ * Author: Sparisoma Viridi (https://github.com/dudung)
+ * Created: 2026-10-19
+ *
+ * Exported:
+ * - Trajectory
+ * - recordTrajectory(sim)
+ * - createTrajectoryPlayer(trajectory, can, div, slider, color)
+ *
+ * Requires:
+ * - drawMatrixOnCanvas, getColor (25e41.js), for the player
+ * - Grid (26j25.js)
+ */
+
+
+const ABM_KEYFRAME_INTERVAL = 50;
+
+
+/**
+ * Agent positions of a run, stored per step as changes to the step before, so that a long run with few moving agents stays small.
+ *
+ * Every frame holds its time t, the agents that appeared, moved or changed type as [id, x, y, type], and the ids of the agents that left the world. Walls and other cells without agents form the background, and the world of any frame is rebuilt from it with `frameAt(k)`. When the background changes, e.g. as a scheduled wall opens, the frame also holds the changed cells as [index, value]. To keep going back and forth cheap, the agents of every `ABM_KEYFRAME_INTERVAL`-th frame are kept once they have been computed.
+ *
+ * @example
+ * const { trajectory } = recordTrajectory(sim);
+ * sim.run();
+ * trajectory.agentsAt(10).get(3);  // [x, y, type] of agent 3 after step 10
+ * const text = JSON.stringify(trajectory.toJSON());
+ */
+class Trajectory {
+  /**
+   * Creates an empty trajectory.
+   *
+   * @param {{cols: number, rows: number}} world - World size.
+   * @param {ArrayLike<number>} background - Cells of the world without agents, row after row.
+   * @param {Object<number, Array<[number, number]>>} [shapes] - Footprint offsets of the agent types with a SHAPE.
+   */
+  constructor(world, background, shapes = {}) {
+    this.world = { cols: world.cols, rows: world.rows };
+    this.shapes = structuredClone(shapes);
+    this.clear(background);
+  }
+
+  /**
+   * Removes all frames and replaces the background, e.g. after the simulation was reset.
+   *
+   * @param {ArrayLike<number>} background - Cells of the world without agents, row after row.
+   */
+  clear(background) {
+    this.background = Int32Array.from(background);
+    this.ground = Int32Array.from(background);
+    this.frames = [];
+    this.last = new Map();
+    this.keyframes = new Map();
+  }
+
+  /**
+   * Number of recorded frames.
+   *
+   * @returns {number} The number.
+   */
+  get length() {
+    return this.frames.length;
+  }
+
+  /**
+   * Appends a frame with the agents at a time, storing only what changed since the previous frame.
+   *
+   * @param {number} t - Simulation time.
+   * @param {Object[]} agents - Agents with `id`, `x`, `y` and `type`, e.g. the `agents` of a `Simulation`.
+   * @param {ArrayLike<number>} [background] - Cells of the world without agents at this time, if they may have changed.
+   */
+  add(t, agents, background) {
+    const moved = [];
+    const seen = new Set();
+    for(const a of agents) {
+      seen.add(a.id);
+      const p = this.last.get(a.id);
+      if(p === undefined || p[0] !== a.x || p[1] !== a.y || p[2] !== a.type) {
+        moved.push([a.id, a.x, a.y, a.type]);
+        this.last.set(a.id, [a.x, a.y, a.type]);
+      }
+    }
+    const removed = [...this.last.keys()].filter(id => !seen.has(id));
+    removed.forEach(id => this.last.delete(id));
+    const frame = { t: t, moved: moved, removed: removed };
+
+    if(background !== undefined) {
+      const cells = [];
+      for(let i = 0; i < this.ground.length; i++) {
+        if(background[i] !== this.ground[i]) {
+          cells.push([i, background[i]]);
+          this.ground[i] = background[i];
+        }
+      }
+      if(cells.length > 0) {
+        frame.cells = cells;
+      }
+    }
+    this.frames.push(frame);
+  }
+
+  /**
+   * Returns the agents of a frame.
+   *
+   * @param {number} k - Frame index, from 0 to `length` - 1.
+   * @returns {Map<number, [number, number, number]>} Agent id mapped to [x, y, type].
+   */
+  agentsAt(k) {
+    if(!(k >= 0 && k < this.frames.length)) {
+      throw new RangeError("frame " + k + " is outside the " + this.frames.length
+        + " recorded frames");
+    }
+
+    let start = -1;
+    for(const j of this.keyframes.keys()) {
+      if(j <= k && j > start) {
+        start = j;
+      }
+    }
+    const state = start >= 0 ? new Map(this.keyframes.get(start)) : new Map();
+    for(let j = start + 1; j <= k; j++) {
+      const f = this.frames[j];
+      for(const [id, x, y, type] of f.moved) {
+        state.set(id, [x, y, type]);
+      }
+      for(const id of f.removed) {
+        state.delete(id);
+      }
+      if(j % ABM_KEYFRAME_INTERVAL === 0) {
+        this.keyframes.set(j, new Map(state));
+      }
+    }
+    return state;
+  }
+
+  /**
+   * Rebuilds the world of a frame, ready for `drawMatrixOnCanvas`.
+   *
+   * @param {number} k - Frame index.
+   * @returns {{t: number, world: Grid, bodies: Array<Array<[number, number]>>}} Time, world and footprints of the multi-cell agents.
+   */
+  frameAt(k) {
+    const { cols, rows } = this.world;
+    const world = new Grid(rows, cols);
+    world.data.set(this.background);
+    for(let j = 0; j <= k; j++) {
+      for(const [i, v] of this.frames[j].cells || []) {
+        world.data[i] = v;
+      }
+    }
+    const bodies = [];
+    for(const [x, y, type] of this.agentsAt(k).values()) {
+      const shape = this.shapes[type];
+      const cells = (shape || [[0, 0]]).map(([dx, dy]) =>
+        [(x + dx + cols) % cols, (y + dy + rows) % rows]);
+      for(const [cx, cy] of cells) {
+        world.set(cx, cy, type);
+      }
+      if(shape !== undefined) {
+        bodies.push(cells);
+      }
+    }
+    return { t: this.frames[k].t, world: world, bodies: bodies };
+  }
+
+  /**
+   * Converts the trajectory into a plain object for `JSON.stringify`, keeping the frames delta-encoded.
+   *
+   * @returns {Object} Object with `world`, `background`, `shapes` and `frames`.
+   */
+  toJSON() {
+    return {
+      world: this.world,
+      background: Array.from(this.background),
+      shapes: this.shapes,
+      frames: this.frames,
+    };
+  }
+
+  /**
+   * Creates a trajectory from the result of `toJSON`, e.g. read back from a file.
+   *
+   * @param {Object} obj - The plain object.
+   * @returns {Trajectory} The trajectory, to which further frames can be added.
+   */
+  static fromJSON(obj) {
+    const trajectory = new Trajectory(obj.world, obj.background, obj.shapes);
+    trajectory.frames = obj.frames;
+    for(const f of trajectory.frames) {
+      for(const [i, v] of f.cells || []) {
+        trajectory.ground[i] = v;
+      }
+    }
+    if(trajectory.frames.length > 0) {
+      trajectory.last = trajectory.agentsAt(trajectory.frames.length - 1);
+    }
+    return trajectory;
+  }
+
+  /**
+   * Converts the trajectory into CSV text with the position of every agent in every frame, which is larger than the JSON form but ready for plotting.
+   *
+   * @returns {string} CSV text with header line "t,id,type,x,y".
+   */
+  toCsv() {
+    const lines = ["t,id,type,x,y"];
+    for(let k = 0; k < this.frames.length; k++) {
+      const t = this.frames[k].t;
+      for(const [id, [x, y, type]] of this.agentsAt(k)) {
+        lines.push([t, id, type, x, y].join(","));
+      }
+    }
+    return lines.join("\n");
+  }
+}
+
+
+/**
+ * Records a simulation into a trajectory, one frame at the start and one after every step. A reset of the simulation starts the trajectory again.
+ *
+ * @param {Simulation} sim - The simulation to record.
+ * @returns {{trajectory: Trajectory, stop: function(): void}} The trajectory, which grows while the simulation runs, and a function ending the recording.
+ *
+ * @example
+ * const sim = new Simulation(parseAbmInput(txaInput.value).scenario);
+ * const { trajectory, stop } = recordTrajectory(sim);
+ * sim.run();
+ * stop();
+ */
+function recordTrajectory(sim) {
+  const background = () => {
+    const cells = new Int32Array(sim.world.data);
+    for(const a of sim.agents) {
+      for(const [x, y] of sim.footprint(a)) {
+        cells[sim.world.index(x, y)] = 0;
+      }
+    }
+    return cells;
+  };
+
+  const trajectory = new Trajectory(sim.world, background(), sim.shapes);
+  trajectory.add(sim.t, sim.agents);
+
+  const onReset = () => {
+    trajectory.clear(background());
+    trajectory.add(sim.t, sim.agents);
+  };
+  const onStep = e => {
+    trajectory.add(e.t, sim.agents, background());
+  };
+  sim.on("reset", onReset);
+  sim.on("step", onStep);
+
+  return {
+    trajectory: trajectory,
+    stop() {
+      sim.off("reset", onReset);
+      sim.off("step", onStep);
+    },
+  };
+}
+
+
+/**
+ * Replays a trajectory on a canvas, with the same drawing as `bindSimulationToPage`, so that any frame can be shown again, e.g. for a figure or to look at a rare event.
+ *
+ * @param {Trajectory} trajectory - The recorded run.
+ * @param {HTMLCanvasElement} can - Canvas for the world, e.g. the "can-out" element.
+ * @param {HTMLElement} [div] - Element for the time, e.g. the "div-time" element.
+ * @param {HTMLInputElement} [slider] - Range input for scrubbing through the frames, which follows a trajectory that is still being recorded.
+ * @param {function(number): string} [color=getColor] - Color function, e.g. `createScenarioColor(sim.scenario)`.
+ * @returns {Object} Player with `index`, `show(k)`, `next()`, `prev()`, `play(interval, direction)` and `pause()`, where direction -1 plays backward.
+ *
+ * @example
+ * const player = createTrajectoryPlayer(trajectory, canOut, divTime, inpFrame);
+ * player.show(120);
+ * const png = canOut.toDataURL();
+ * player.play(50, -1);
+ */
+function createTrajectoryPlayer(trajectory, can, div, slider, color = getColor) {
+  let timer = null;
+
+  // The trajectory may still grow while it is replayed
+  const fit = () => {
+    slider.max = trajectory.length - 1;
+  };
+
+  const player = {
+    index: 0,
+    show(k) {
+      k = Math.max(0, Math.min(trajectory.length - 1, k));
+      const f = trajectory.frameAt(k);
+      this.index = k;
+      if(div) {
+        div.innerHTML = "t = " + f.t;
+      }
+      if(slider) {
+        fit();
+        slider.value = k;
+      }
+      drawMatrixOnCanvas(can, f.world, color, f.bodies);
+    },
+    next() {
+      this.show(this.index + 1);
+    },
+    prev() {
+      this.show(this.index - 1);
+    },
+    play(interval = 100, direction = 1) {
+      this.pause();
+      timer = setInterval(() => {
+        const k = this.index + direction;
+        if(k < 0 || k >= trajectory.length) {
+          this.pause();
+          return;
+        }
+        this.show(k);
+      }, interval);
+    },
+    pause() {
+      clearInterval(timer);
+      timer = null;
+    },
+  };
+
+  if(slider) {
+    slider.min = 0;
+    slider.step = 1;
+    slider.addEventListener("pointerdown", fit);
+    slider.addEventListener("input", () => {
+      player.pause();
+      player.show(Number(slider.value));
+    });
+  }
+  player.show(0);
+  return player;
+}
+
+
+// marker: 26j26.js
+(() => {
+  console.log("[marker] 26j26.js loaded");
+})();
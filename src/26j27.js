@@ -0,0 +1,213 @@
+/**
+ * 26j27.js
+ * Functions used in butiran/26j27 note
+ *
+ * Author: Sparisoma Viridi (https://github.com/dudung)
+ * Created: 2026-10-19
+ *
+ * Exported:
+ * - createPaletteLut(color, ctx, size)
+ * - matrixToRgba(m, lut, out)
+ * - drawMatrixWithPalette(can, m, color)
+ * - benchmarkMatrixDrawing(can, rows, cols, repeat)
+ *
+ * Requires:
+ * - getColor, parseCanvasColor, resetMatrixCanvas, COLOR_FALLBACK (25e41.js)
+ * - Grid (26j25.js), for the benchmark
+ */
+
+
+const PALETTE_LUT_SIZE = 100;
+
+const PALETTE_LITTLE_ENDIAN = new Uint8Array(new Uint32Array([1]).buffer)[0] === 1;
+
+
+/**
+ * Lookup tables of the color functions used by `drawMatrixWithPalette`, and the offscreen canvas of every drawn canvas.
+ */
+const PALETTE_LUTS = new WeakMap();
+const PALETTE_CANVASES = new WeakMap();
+
+
+/**
+ * Precomputes the colors of the cell values 0 to size - 1 as RGBA pixels, so that a matrix can be turned into an image without calling the color function and parsing its result for every cell.
+ *
+ * @param {function(number): string} color - Color function, e.g. `getColor`.
+ * @param {CanvasRenderingContext2D} ctx - Any 2D context, used to read the color strings.
+ * @param {number} [size=PALETTE_LUT_SIZE] - Number of values, 100 for the two-digit codes of `getColor`.
+ * @returns {Uint32Array} One pixel per value and, as entry `size`, the pixel of `COLOR_FALLBACK` for values outside the table, in the byte order of the platform, so that it can be written to a Uint32Array view of ImageData.
+ *
+ * @example
+ * const lut = createPaletteLut(getColor, can.getContext("2d"));
+ * new Uint8Array(lut.buffer, 41 * 4, 4);  // [42, 157, 143, 255], i.e. "#2a9d8f"
+ */
+function createPaletteLut(color, ctx, size = PALETTE_LUT_SIZE) {
+  const lut = new Uint32Array(size + 1);
+  const bytes = new Uint8Array(lut.buffer);
+  for(let v = 0; v <= size; v++) {
+    const rgba = parseCanvasColor(ctx, v < size ? color(v) : COLOR_FALLBACK);
+    bytes.set(PALETTE_LITTLE_ENDIAN ? rgba : rgba.slice().reverse(), v * 4);
+  }
+  return lut;
+}
+
+
+/**
+ * Converts a matrix of cell values into RGBA pixels, one pixel per cell, through a lookup table.
+ *
+ * @param {Array<Array<number>>|Grid} m - Matrix indexed as m[y][x], or a `Grid`.
+ * @param {Uint32Array} lut - Table from `createPaletteLut`; values outside it, including negative ones, get its last entry, the fallback color as in `getColor`.
+ * @param {Uint8ClampedArray} [out] - Array of 4 × rows × cols bytes to fill, e.g. the data of an ImageData.
+ * @returns {Uint8ClampedArray} The filled array, row after row.
+ */
+function matrixToRgba(m, lut, out) {
+  const grid = typeof m.get === "function";
+  const rows = grid ? m.rows : m.length;
+  const cols = grid ? m.cols : m[0].length;
+  out = out || new Uint8ClampedArray(rows * cols * 4);
+  const pixels = new Uint32Array(out.buffer, out.byteOffset, rows * cols);
+  const fallback = lut[lut.length - 1];
+
+  if(grid) {
+    const d = m.data;
+    for(let i = 0; i < d.length; i++) {
+      const p = lut[d[i]];
+      pixels[i] = p !== undefined ? p : fallback;
+    }
+    return out;
+  }
+  for(let y = 0; y < rows; y++) {
+    const row = m[y];
+    for(let x = 0; x < cols; x++) {
+      const p = lut[row[x]];
+      pixels[y * cols + x] = p !== undefined ? p : fallback;
+    }
+  }
+  return out;
+}
+
+
+/**
+ * Draws a matrix with one `putImageData` and nearest-neighbor scaling, instead of a `fillStyle` and `fillRect` per cell, which is the bottleneck when the world has more cells than the canvas has pixels, or about as many.
+ *
+ * The matrix is written one pixel per cell into an offscreen canvas through the lookup table of `color`, which is made once per color function, and that canvas is then scaled onto `can` without smoothing. The call is the same as for `drawMatrixOnCanvas`, but values are taken as integer codes below `PALETTE_LUT_SIZE`, as given to `getColor`, and multi-cell agents are not outlined.
+ *
+ * @param {HTMLCanvasElement} can - The canvas element on which the matrix should be drawn.
+ * @param {Array<Array<number>>|Grid} m - Matrix indexed as m[y][x], or a `Grid`.
+ * @param {function(number): string} [color=getColor] - Color function.
+ *
+ * @example
+ * // Replaces drawMatrixOnCanvas(can, sim.world, getColor) for a 1000×1000 world
+ * sim.on("step", () => drawMatrixWithPalette(can, sim.world, getColor));
+ */
+function drawMatrixWithPalette(can, m, color = getColor) {
+  const rect = can.getBoundingClientRect();
+  const width = Math.floor(rect.width);
+  const height = Math.floor(rect.height);
+  if(can.width !== width || can.height !== height) {
+    can.width = width;
+    can.height = height;
+    can.style.width = width + "px";
+    can.style.height = height + "px";
+  }
+  resetMatrixCanvas(can);
+
+  const grid = typeof m.get === "function";
+  const rows = grid ? m.rows : m.length;
+  const cols = grid ? m.cols : m[0].length;
+
+  let off = PALETTE_CANVASES.get(can);
+  if(off === undefined || off.width !== cols || off.height !== rows) {
+    off = document.createElement("canvas");
+    off.width = cols;
+    off.height = rows;
+    PALETTE_CANVASES.set(can, off);
+  }
+  const offCtx = off.getContext("2d");
+
+  if(!PALETTE_LUTS.has(color)) {
+    PALETTE_LUTS.set(color, createPaletteLut(color, offCtx));
+  }
+  const img = offCtx.createImageData(cols, rows);
+  matrixToRgba(m, PALETTE_LUTS.get(color), img.data);
+  offCtx.putImageData(img, 0, 0);
+
+  const ctx = can.getContext("2d");
+  ctx.imageSmoothingEnabled = false;
+  ctx.drawImage(off, 0, 0, width, height);
+}
+
+
+/**
+ * Compares three ways of drawing a whole world of random `getColor` codes on a canvas:
+ *   - fillRect, the former loop of `drawMatrixOnCanvas` with one `fillStyle` and `fillRect` per cell, as also formerly used by abmphasemat.js,
+ *   - imageData, `drawMatrixOnCanvas` after `resetMatrixCanvas`, which fills an ImageData pixel by pixel,
+ *   - palette, `drawMatrixWithPalette`.
+ *
+ * It needs a real canvas, so it is meant to be run in the browser console of a note page, where times depend on the browser and on the canvas size.
+ *
+ * @param {HTMLCanvasElement} can - Canvas to draw on; it is overwritten.
+ * @param {number} [rows=400] - Number of rows.
+ * @param {number} [cols=400] - Number of columns.
+ * @param {number} [repeat=20] - Number of times each way is timed.
+ * @returns {{fillRect: number, imageData: number, palette: number, speedup: Object}} Times in ms, and the ratios fillRect / imageData and fillRect / palette.
+ *
+ * @example
+ * benchmarkMatrixDrawing(document.getElementById("can-out"), 1000, 1000, 5).speedup;
+ * // { imageData: 28.7, palette: 255.2 }  (1000×1000 on 500×500 pixels)
+ * // benchmarkMatrixDrawing(can, 400, 400, 20) on 400×400 pixels gave
+ * // { imageData: 10.5 to 12.9, palette: 274 to 352 } over three runs, with
+ * // fillRect taking 6.2 to 7.6 s and palette 22 to 23 ms. Both were measured
+ * // with the Skia canvas of @napi-rs/canvas 1.0.10 in Node 20 on one core,
+ * // not in a browser, where a GPU canvas may change the ratios.
+ */
+function benchmarkMatrixDrawing(can, rows = 400, cols = 400, repeat = 20) {
+  const codes = [0, 10, 20, 41, 43, 48];
+  const g = new Grid(rows, cols);
+  for(let i = 0; i < g.data.length; i++) {
+    g.data[i] = codes[Math.floor(Math.random() * codes.length)];
+  }
+
+  const fillRectLoop = () => {
+    const rect = can.getBoundingClientRect();
+    can.width = rect.width;
+    can.height = rect.height;
+    const ctx = can.getContext("2d");
+    const lx = rect.width / cols;
+    const ly = rect.height / rows;
+    for(let r = 0; r < rows; r++) {
+      for(let c = 0; c < cols; c++) {
+        ctx.fillStyle = getColor(g.get(c, r));
+        ctx.fillRect(c * lx, r * ly, lx, ly);
+      }
+    }
+  };
+
+  const time = fn => {
+    const t0 = performance.now();
+    for(let i = 0; i < repeat; i++) {
+      fn();
+    }
+    return performance.now() - t0;
+  };
+
+  const result = {
+    fillRect: time(fillRectLoop),
+    imageData: time(() => {
+      resetMatrixCanvas(can);
+      drawMatrixOnCanvas(can, g, getColor);
+    }),
+    palette: time(() => drawMatrixWithPalette(can, g, getColor)),
+  };
+  result.speedup = {
+    imageData: result.fillRect / result.imageData,
+    palette: result.fillRect / result.palette,
+  };
+  return result;
+}
+
+
+// marker: 26j27.js
+(() => {
+  console.log("[marker] 26j27.js loaded");
+})();
@@ -0,0 +1,151 @@
+/**
+ * 26j28.js
+ * Functions used in butiran/26j28 note
+ *
+ * Author: Sparisoma Viridi (https://github.com/dudung)
+ * Created: 2026-10-19
+ *
+ * Exported:
+ * - getScenarioTypes(scenario)
+ * - createScenarioColor(scenario)
+ * - createColorLegend(scenario, el)
+ *
+ * Registered palettes, besides "default" of getColor:
+ * - viridis, perceptually uniform colormap, also readable in gray
+ * - categorical, ten distinct colors (Tableau 10)
+ * - colorblind, seven colors safe for color vision deficiencies (Okabe-Ito)
+ * - tol, seven colors safe for color vision deficiencies (Paul Tol bright)
+ * All of them color the agent types of a scenario and leave walls and
+ * filters to the default palette.
+ *
+ * Requires:
+ * - createElement, registerPalette, createColorFunction, getColorLabel, COLOR_PALETTES (25e41.js)
+ */
+
+
+registerPalette("viridis", {
+  colormap: [
+    "#440154", "#472d7b", "#3b528b", "#2c728e", "#21918c",
+    "#28ae80", "#5ec962", "#addc30", "#fde725",
+  ],
+});
+
+registerPalette("categorical", {
+  list: [
+    "#4e79a7", "#f28e2b", "#e15759", "#76b7b2", "#59a14f",
+    "#edc948", "#b07aa1", "#ff9da7", "#9c755f", "#bab0ac",
+  ],
+});
+
+registerPalette("colorblind", {
+  list: ["#e69f00", "#56b4e9", "#009e73", "#f0e442", "#0072b2", "#d55e00", "#cc79a7"],
+});
+
+registerPalette("tol", {
+  list: ["#4477aa", "#ee6677", "#228833", "#ccbb44", "#66ccee", "#aa3377", "#bbbbbb"],
+});
+
+
+/**
+ * Collects the agent types of a scenario, from its agents, sources, matrices, reaction products, shapes, attributes and colors.
+ *
+ * @param {Object} scenario - Scenario from `parseAbmInput`.
+ * @returns {number[]} The types in increasing order.
+ */
+function getScenarioTypes(scenario) {
+  const types = new Set();
+  const add = list => list.forEach(item => types.add(item.type));
+  add(scenario.agents);
+  add(scenario.sources);
+  add(scenario.mpmat);
+  add(scenario.shapes);
+  add(scenario.attrs);
+  add(scenario.colors);
+  for(const r of scenario.rules) {
+    if(r.action === "REACT") {
+      types.add(r.c);
+      types.add(r.d);
+    }
+  }
+  return [...types].sort((a, b) => a - b);
+}
+
+
+/**
+ * Creates the color function of a scenario from its PALETTE and COLOR directives, to be passed to `drawMatrixOnCanvas` instead of `getColor`.
+ *
+ * @param {Object} scenario - Scenario from `parseAbmInput`.
+ * @returns {function(number): string} Color of a code, from the default palette when PALETTE is missing or not registered.
+ *
+ * @example
+ * const { scenario } = parseAbmInput("PALETTE colorblind\nCOLOR 48 #000 grain\nAGENT 1 1 41\nAGENT 2 1 48");
+ * const color = createScenarioColor(scenario);
+ * color(41);  // "#e69f00"
+ * color(48);  // "#000"
+ */
+function createScenarioColor(scenario) {
+  const colors = {};
+  for(const c of scenario.colors) {
+    colors[c.type] = c.color;
+  }
+  return createColorFunction(scenarioPalette(scenario), getScenarioTypes(scenario), colors);
+}
+
+
+/**
+ * Returns the palette name of a scenario that can be used, i.e. "default" unless its PALETTE is registered.
+ *
+ * @param {Object} scenario - Scenario from `parseAbmInput`.
+ * @returns {string} Palette name.
+ */
+function scenarioPalette(scenario) {
+  const name = scenario.palette;
+  return name !== null && COLOR_PALETTES[name] !== undefined ? name : "default";
+}
+
+
+/**
+ * Creates a legend with a color swatch and a label for every agent type of a scenario, where labels come from COLOR directives or from the palette, e.g. "solid 41".
+ *
+ * @param {Object} scenario - Scenario from `parseAbmInput`.
+ * @param {HTMLElement} [el] - Element to fill, whose content is replaced; without it a new div is made.
+ * @returns {HTMLElement} The legend element, with one row per type.
+ *
+ * @example
+ * const { scenario } = parseAbmInput(txaInput.value);
+ * document.body.append(createColorLegend(scenario));
+ */
+function createColorLegend(scenario, el) {
+  if(!el) {
+    el = createElement("div");
+  }
+  el.innerHTML = "";
+
+  const color = createScenarioColor(scenario);
+  const labels = {};
+  for(const c of scenario.colors) {
+    if(c.label !== "") {
+      labels[c.type] = c.label;
+    }
+  }
+  const name = scenarioPalette(scenario);
+
+  for(const type of getScenarioTypes(scenario)) {
+    const row = createElement("div", { display: "flex", alignItems: "center", gap: "0.4em" });
+    const swatch = createElement("span", {
+      display: "inline-block", width: "1em", height: "1em",
+      background: color(type), border: "1px solid #888",
+    });
+    const text = createElement("span");
+    text.textContent = getColorLabel(type, name, labels);
+    row.append(swatch, text);
+    el.append(row);
+  }
+  return el;
+}
+
+
+// marker: 26j28.js
+(() => {
+  console.log("[marker] 26j28.js loaded");
+})();
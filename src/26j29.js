@@ -0,0 +1,257 @@
+/**
+ * 26j29.js
+ * Functions used in butiran/26j29 note
+ *
+ * Author: Sparisoma Viridi (https://github.com/dudung)
+ * Created: 2026-10-19
+ *
+ * Exported:
+ * - decodeCellValue(v)
+ * - describeCell(target, x, y)
+ * - attachCanvasInspector(can, target, options)
+ *
+ * Requires:
+ * - createElement (25e41.js)
+ */
+
+
+const INSPECTOR_MAX_ZOOM = 32;
+
+const INSPECTOR_WHEEL_STEP = 1.2;
+
+const CELL_FAMILY_NAMES = [
+  "empty", "wall", "gas", "fluid", "solid", "charge", "source", "sink", "interface", "filter",
+];
+
+
+/**
+ * Splits a cell value into the family and variant of the color code scheme of `getColor`, e.g. 41 into family 4, solid, and variant 1.
+ *
+ * @param {number} v - Cell value.
+ * @returns {{value: number, family: number, variant: number, name: string}} Tens digit, units digit and family name, which is "unknown" outside 0 to 99.
+ */
+function decodeCellValue(v) {
+  const family = Math.floor(v / 10);
+  const name = v >= 0 && v < 100 && Number.isInteger(v) ? CELL_FAMILY_NAMES[family] : "unknown";
+  return { value: v, family: family, variant: v - 10 * family, name: name };
+}
+
+
+/**
+ * Gives the world matrix and, if there is one, the simulation of an inspector target.
+ *
+ * @param {Simulation|Grid|number[][]|function(): (Simulation|Grid|number[][])} target - What is drawn on the canvas.
+ * @returns {{sim: Simulation|null, m: Grid|number[][]}} Simulation and world.
+ */
+function resolveInspectorTarget(target) {
+  const t = typeof target === "function" ? target() : target;
+  const sim = t && typeof t.agentAt === "function" ? t : null;
+  return { sim: sim, m: sim !== null ? sim.world : t };
+}
+
+
+/**
+ * Describes what sits in a cell, line by line, for the tooltip of `attachCanvasInspector`.
+ *
+ * @param {Simulation|Grid|number[][]|function(): (Simulation|Grid|number[][])} target - A simulation, a world, or a function returning one of them, e.g. () => world for a page whose global world is replaced on reset.
+ * @param {number} x - Column.
+ * @param {number} y - Row.
+ * @returns {string[]} Lines with the cell, its value and, for a simulation, the agent on it.
+ *
+ * @example
+ * describeCell(sim, 12, 30);
+ * // ["cell (12, 30)", "value 41, solid family, variant 1",
+ * //  "agent 17 of type 41, age 30", "energy = 3"]
+ */
+function describeCell(target, x, y) {
+  const { sim, m } = resolveInspectorTarget(target);
+  const v = typeof m.get === "function" ? m.get(x, y) : m[y][x];
+  const d = decodeCellValue(v);
+  const lines = [
+    "cell (" + x + ", " + y + ")",
+    v === 0 ? "value 0, empty"
+      : "value " + v + ", " + d.name + " family, variant " + d.variant,
+  ];
+
+  const a = sim !== null ? sim.agentAt(x, y) : undefined;
+  if(a !== undefined) {
+    lines.push("agent " + a.id + " of type " + a.type + ", age " + a.age);
+    for(const [name, value] of Object.entries(a.attrs)) {
+      lines.push(name + " = " + value);
+    }
+  }
+  return lines;
+}
+
+
+/**
+ * Adds zoom, panning and a cell tooltip to a canvas drawn with `drawMatrixOnCanvas`, without changing how it is drawn.
+ *
+ * A transparent canvas is laid over `can`. Turning the mouse wheel zooms in or out around the pointer, dragging moves the zoomed view and a double click shows the whole world again. While zoomed in, the overlay shows the magnified part of `can` on every animation frame, so that a running simulation stays visible, with its pixels scaled without smoothing, so that cells remain sharp squares. A world with more cells than the canvas has pixels can therefore not be magnified beyond the drawn pixels. Hovering shows the lines of `describeCell` for the cell under the pointer.
+ *
+ * @param {HTMLCanvasElement} can - Canvas showing the world, e.g. the "can-out" element.
+ * @param {Simulation|Grid|number[][]|function(): (Simulation|Grid|number[][])} target - What is drawn on the canvas, see `describeCell`.
+ * @param {Object} [options] - Optional `maxZoom`, by default `INSPECTOR_MAX_ZOOM`.
+ * @returns {Object} Inspector with `view` { zoom, ox, oy }, the zoom and the canvas pixel at the top left corner, `zoomAt(zoom, px, py)`, `reset()` and `detach()`, which removes the overlay and tooltip.
+ *
+ * @example
+ * const sim = new Simulation(parseAbmInput(txaInput.value).scenario);
+ * bindSimulationToPage(sim, canOut, divTime);
+ * const inspector = attachCanvasInspector(canOut, sim);
+ *
+ * // Pages keeping the world in a global variable
+ * attachCanvasInspector(canOut, () => world);
+ */
+function attachCanvasInspector(can, target, options = {}) {
+  const maxZoom = options.maxZoom || INSPECTOR_MAX_ZOOM;
+  const view = { zoom: 1, ox: 0, oy: 0 };
+
+  const overlay = createElement("canvas", { position: "absolute", cursor: "crosshair" });
+  const tip = createElement("div", {
+    position: "fixed", display: "none", pointerEvents: "none", zIndex: 10,
+    background: "rgba(255, 255, 255, 0.9)", border: "1px solid #888",
+    padding: "2px 6px", font: "12px monospace", whiteSpace: "pre",
+  });
+  can.parentNode.insertBefore(overlay, can.nextSibling);
+  document.body.append(tip);
+
+  let hover = null;
+  let drag = null;
+  let frame = null;
+
+  // Pointer position in canvas pixels
+  const pixelOf = e => {
+    const rect = overlay.getBoundingClientRect();
+    return [
+      (e.clientX - rect.left) * can.width / rect.width,
+      (e.clientY - rect.top) * can.height / rect.height,
+    ];
+  };
+
+  const clamp = () => {
+    view.ox = Math.min(Math.max(view.ox, 0), can.width - can.width / view.zoom);
+    view.oy = Math.min(Math.max(view.oy, 0), can.height - can.height / view.zoom);
+  };
+
+  const showTip = () => {
+    const { m } = resolveInspectorTarget(target);
+    const grid = typeof m.get === "function";
+    const rows = grid ? m.rows : m.length;
+    const cols = grid ? m.cols : m[0].length;
+    const [px, py] = pixelOf(hover);
+    const x = Math.floor((view.ox + px / view.zoom) * cols / can.width);
+    const y = Math.floor((view.oy + py / view.zoom) * rows / can.height);
+    if(x < 0 || x >= cols || y < 0 || y >= rows) {
+      tip.style.display = "none";
+      return;
+    }
+    tip.textContent = describeCell(target, x, y).join("\n");
+    tip.style.left = hover.clientX + 12 + "px";
+    tip.style.top = hover.clientY + 12 + "px";
+    tip.style.display = "block";
+  };
+
+  const draw = () => {
+    frame = null;
+    if(overlay.width !== can.width || overlay.height !== can.height) {
+      overlay.width = can.width;
+      overlay.height = can.height;
+    }
+    overlay.style.left = can.offsetLeft + "px";
+    overlay.style.top = can.offsetTop + "px";
+    overlay.style.width = can.clientWidth + "px";
+    overlay.style.height = can.clientHeight + "px";
+
+    const ctx = overlay.getContext("2d");
+    ctx.clearRect(0, 0, overlay.width, overlay.height);
+    if(view.zoom > 1) {
+      ctx.imageSmoothingEnabled = false;
+      ctx.drawImage(can, view.ox, view.oy, can.width / view.zoom, can.height / view.zoom,
+        0, 0, overlay.width, overlay.height);
+    }
+    if(hover !== null) {
+      showTip();
+    }
+    // Keep following the simulation only while there is something to update
+    if(view.zoom > 1 || hover !== null) {
+      frame = requestAnimationFrame(draw);
+    }
+  };
+
+  const redraw = () => {
+    if(frame === null) {
+      frame = requestAnimationFrame(draw);
+    }
+  };
+
+  const inspector = {
+    view: view,
+    zoomAt(zoom, px, py) {
+      const bx = view.ox + px / view.zoom;
+      const by = view.oy + py / view.zoom;
+      view.zoom = Math.min(Math.max(zoom, 1), maxZoom);
+      view.ox = bx - px / view.zoom;
+      view.oy = by - py / view.zoom;
+      clamp();
+      redraw();
+    },
+    reset() {
+      view.zoom = 1;
+      view.ox = 0;
+      view.oy = 0;
+      redraw();
+    },
+    detach() {
+      cancelAnimationFrame(frame);
+      frame = null;
+      window.removeEventListener("mousemove", onMove);
+      window.removeEventListener("mouseup", onUp);
+      overlay.remove();
+      tip.remove();
+    },
+  };
+
+  const onWheel = e => {
+    e.preventDefault();
+    const [px, py] = pixelOf(e);
+    const step = e.deltaY < 0 ? INSPECTOR_WHEEL_STEP : 1 / INSPECTOR_WHEEL_STEP;
+    inspector.zoomAt(view.zoom * step, px, py);
+  };
+  const onDown = e => {
+    drag = pixelOf(e);
+    overlay.style.cursor = "grabbing";
+  };
+  const onMove = e => {
+    if(drag !== null) {
+      const [px, py] = pixelOf(e);
+      view.ox -= (px - drag[0]) / view.zoom;
+      view.oy -= (py - drag[1]) / view.zoom;
+      drag = [px, py];
+      clamp();
+    }
+    hover = e.target === overlay ? e : null;
+    if(hover === null) {
+      tip.style.display = "none";
+    }
+    redraw();
+  };
+  const onUp = () => {
+    drag = null;
+    overlay.style.cursor = "crosshair";
+  };
+
+  overlay.addEventListener("wheel", onWheel, { passive: false });
+  overlay.addEventListener("mousedown", onDown);
+  overlay.addEventListener("dblclick", () => inspector.reset());
+  window.addEventListener("mousemove", onMove);
+  window.addEventListener("mouseup", onUp);
+
+  redraw();
+  return inspector;
+}
+
+
+// marker: 26j29.js
+(() => {
+  console.log("[marker] 26j29.js loaded");
+})();